@@ -0,0 +1,154 @@
+// Block detection - classifies every response and trips a circuit breaker on runs of blocks
+import { log } from 'apify';
+
+import { sleep } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const RESPONSE_CLASSES = {
+    ok: 'ok',
+    rateLimited: 'rateLimited',
+    blocked: 'blocked',
+    captcha: 'captcha',
+    notFound: 'notFound',
+    unknownLayout: 'unknownLayout',
+    // Network failures and 5xx answers, which say nothing about the scraper being detected
+    error: 'error',
+};
+
+const BLOCK_CLASSES = [RESPONSE_CLASSES.blocked, RESPONSE_CLASSES.captcha];
+
+// Something every genuine page of a kind carries; keyed by request label (see fetcher REQUEST_LABELS)
+const LAYOUT_MARKERS = {
+    GIS: /^\s*(?:{}&&)?\s*{[\s\S]*"(?:payload|resultCode)"/,
+    CSV: /SALE TYPE|URL \(SEE/i,
+    SEARCH: /region_?id|HomeCard|data-property-id/i,
+    DETAIL: /data-rf-test-id="abp-|application\/ld\+json|propertyId|PropertyHistory/i,
+    SITEMAP: /<(?:urlset|sitemapindex)\b/i,
+    AUTOCOMPLETE: /^\s*(?:{}&&)?\s*{[\s\S]*"(?:payload|resultCode)"/,
+    AVM: /^\s*(?:{}&&)?\s*{[\s\S]*"(?:payload|resultCode)"/,
+    RENTAL_ESTIMATE: /^\s*(?:{}&&)?\s*{[\s\S]*"(?:payload|resultCode)"/,
+};
+
+const CAPTCHA_PATTERN =
+    /captcha|perimeterx|_px(?:Captcha|AppId)|press (?:&amp;|&|and) hold|verify (?:that )?you(?: are|'re) (?:a )?human/i;
+const BLOCK_PATTERN = new RegExp(
+    [
+        'access denied',
+        'access to this page has been denied',
+        'request (?:was )?blocked',
+        'you have been blocked',
+        'unusual (?:traffic|activity)',
+        'forbidden',
+    ].join('|'),
+    'i'
+);
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify a response as one of RESPONSE_CLASSES.
+ * Layout markers are checked before the block patterns, so a real page that merely mentions
+ * "captcha" (a login form, say) still counts as ok.
+ */
+export const classifyResponse = ({ statusCode, body, contentType, label }) => {
+    if (statusCode === 429) return RESPONSE_CLASSES.rateLimited;
+    if (statusCode === 404 || statusCode === 410) return RESPONSE_CLASSES.notFound;
+    if (!statusCode || statusCode >= 500) return RESPONSE_CLASSES.error;
+
+    const text = body || '';
+    if (statusCode === 401 || statusCode === 403) {
+        return CAPTCHA_PATTERN.test(text) ? RESPONSE_CLASSES.captcha : RESPONSE_CLASSES.blocked;
+    }
+
+    // Compressed bodies (gzipped sitemaps) and photos cannot be inspected as text
+    if (/gzip|octet-stream|^image\//.test(contentType || '')) return RESPONSE_CLASSES.ok;
+    if (!text.trim()) return RESPONSE_CLASSES.blocked;
+
+    const marker = LAYOUT_MARKERS[label];
+    if (!marker || marker.test(text)) return RESPONSE_CLASSES.ok;
+    if (CAPTCHA_PATTERN.test(text)) return RESPONSE_CLASSES.captcha;
+    if (BLOCK_PATTERN.test(text)) return RESPONSE_CLASSES.blocked;
+    return RESPONSE_CLASSES.unknownLayout;
+};
+
+export const isBlockClass = (responseClass) => BLOCK_CLASSES.includes(responseClass);
+
+/**
+ * Thrown for an answer the crawler would otherwise accept - a block or captcha page served
+ * with a 2xx status, or a 429 - so it is retried like any other failed request.
+ */
+export class ClassifiedResponseError extends Error {
+    constructor(responseClass, url, statusCode) {
+        super(`Response classified as ${responseClass}: ${url}`);
+        this.name = 'ClassifiedResponseError';
+        this.responseClass = responseClass;
+        this.statusCode = statusCode;
+    }
+}
+
+// Crawlee reports "Request blocked - received 403 status code." and "500 - Internal Server Error: ..."
+const ERROR_STATUS_PATTERN = /received (\d{3}) status code|^(\d{3}) - /;
+
+// Map an error raised while fetching back to a class, using the status code in its message
+export const classifyError = (error) => {
+    if (error?.responseClass) return error.responseClass;
+    const match = error?.message?.match(ERROR_STATUS_PATTERN);
+    const statusCode = Number(match?.[1] || match?.[2]) || null;
+    return statusCode && statusCode < 500 ? classifyResponse({ statusCode }) : RESPONSE_CLASSES.error;
+};
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * Count response classes and open after `threshold` consecutive blocks or captchas.
+ * While open, callers switch method or wait; after `cooldownMs` a single trial request
+ * decides whether it closes again (an ok answer) or reopens (one more block).
+ */
+export const createCircuitBreaker = ({ threshold = 5, cooldownMs = 60000 } = {}) => {
+    const counts = Object.fromEntries(Object.values(RESPONSE_CLASSES).map((responseClass) => [responseClass, 0]));
+    let consecutiveBlocks = 0;
+    let openedAt = null;
+    let trips = 0;
+
+    const record = (responseClass) => {
+        counts[responseClass] += 1;
+        if (isBlockClass(responseClass)) {
+            consecutiveBlocks += 1;
+            if (consecutiveBlocks >= threshold && openedAt === null) {
+                openedAt = Date.now();
+                trips += 1;
+                log.warning(
+                    `🔌 Circuit breaker open after ${consecutiveBlocks} consecutive blocks, ` +
+                        `cooling down ${cooldownMs / 1000}s`
+                );
+            }
+        } else if (responseClass === RESPONSE_CLASSES.ok) {
+            consecutiveBlocks = 0;
+            openedAt = null;
+        }
+    };
+
+    const isOpen = () => {
+        if (openedAt === null) return false;
+        if (Date.now() - openedAt < cooldownMs) return true;
+        // Half-open: let one request through, the next block trips it again
+        openedAt = null;
+        consecutiveBlocks = threshold - 1;
+        return false;
+    };
+
+    const waitUntilClosed = async () => {
+        while (isOpen()) await sleep(Math.max(1000, cooldownMs - (Date.now() - openedAt)));
+    };
+
+    const getTrips = () => trips;
+
+    return { record, isOpen, waitUntilClosed, getTrips, counts };
+};
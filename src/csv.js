@@ -0,0 +1,147 @@
+// Redfin CSV download - parses the gis-csv export into listings shaped like GIS homes
+import { cleanText, parseMoney, toIsoDate } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Listing field -> CSV header. The URL header carries a long note, so headers match by prefix.
+const CSV_COLUMNS = {
+    saleType: 'SALE TYPE',
+    soldDate: 'SOLD DATE',
+    propertyType: 'PROPERTY TYPE',
+    address: 'ADDRESS',
+    city: 'CITY',
+    state: 'STATE OR PROVINCE',
+    zip: 'ZIP OR POSTAL CODE',
+    price: 'PRICE',
+    beds: 'BEDS',
+    baths: 'BATHS',
+    location: 'LOCATION',
+    sqFt: 'SQUARE FEET',
+    lotSize: 'LOT SIZE',
+    yearBuilt: 'YEAR BUILT',
+    dom: 'DAYS ON MARKET',
+    pricePerSqFt: '$/SQUARE FEET',
+    hoa: 'HOA/MONTH',
+    status: 'STATUS',
+    openHouseStart: 'NEXT OPEN HOUSE START TIME',
+    openHouseEnd: 'NEXT OPEN HOUSE END TIME',
+    url: 'URL',
+    mlsSource: 'SOURCE',
+    mlsNumber: 'MLS#',
+    lat: 'LATITUDE',
+    lng: 'LONGITUDE',
+};
+
+const NUMERIC_FIELDS = [
+    'price',
+    'beds',
+    'baths',
+    'sqFt',
+    'lotSize',
+    'yearBuilt',
+    'dom',
+    'pricePerSqFt',
+    'hoa',
+    'lat',
+    'lng',
+];
+
+// ============================================================================
+// CSV PARSING
+// ============================================================================
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180): quoted fields may hold commas, line breaks
+ * and doubled quotes; CRLF and LF line endings and a leading BOM are accepted.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+// ============================================================================
+// REDFIN MAPPING
+// ============================================================================
+
+// "September-15-2023" -> "September 15, 2023", which toIsoDate understands
+const parseCsvDate = (value) => toIsoDate(value?.replace(/^([A-Za-z]+)-(\d{1,2})-(\d{4})$/, '$1 $2, $3'));
+
+const findColumnIndexes = (header) => {
+    const normalized = header.map((name) => cleanText(name)?.toUpperCase() || '');
+    return Object.fromEntries(
+        Object.entries(CSV_COLUMNS).map(([field, name]) => [
+            field,
+            normalized.findIndex((column) => column === name || column.startsWith(`${name} `)),
+        ])
+    );
+};
+
+/**
+ * Parse a Redfin CSV download into listings with the field names of GIS homes, so they go
+ * through `buildProperty` unchanged. Disclaimer rows ("In accordance with local MLS rules...")
+ * and rows without a listing URL or address are dropped. Returns null when the text does not
+ * look like a Redfin export at all.
+ */
+export const parseRedfinCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return null;
+
+    const indexes = findColumnIndexes(header);
+    if (indexes.url === -1 || indexes.address === -1) return null;
+
+    const listings = [];
+    for (const cells of rows) {
+        // Disclaimers come as a single cell, or spread over fewer cells than a real row
+        if (cells.length < header.length / 2) continue;
+
+        const listing = {};
+        for (const [field, index] of Object.entries(indexes)) {
+            const value = index === -1 ? null : cleanText(cells[index]);
+            listing[field] = NUMERIC_FIELDS.includes(field) ? parseMoney(value) : value || null;
+        }
+        if (!listing.url && !listing.address) continue;
+
+        listing.soldDate = parseCsvDate(listing.soldDate);
+        listing.propertyId = listing.url?.match(/\/home\/(\d+)/)?.[1] || null;
+        listings.push(listing);
+    }
+    return listings;
+};
@@ -0,0 +1,121 @@
+// Valuation enrichment - Redfin Estimate (AVM) and rental estimate of each saved property
+import { log } from 'apify';
+
+import { RESPONSE_CLASSES } from './blocking.js';
+import { REQUEST_LABELS } from './fetcher.js';
+import { propertyIdFromUrl } from './regions.js';
+import { parseMoney } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// The fields a failed or skipped lookup leaves null
+const EMPTY_ESTIMATES = {
+    redfinEstimate: null,
+    redfinEstimateLow: null,
+    redfinEstimateHigh: null,
+    rentalEstimate: null,
+    rentalEstimateLow: null,
+    rentalEstimateHigh: null,
+    listPriceVsEstimate: null,
+    listPriceVsEstimatePercent: null,
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+const parseStingrayPayload = (body) => {
+    try {
+        const data = JSON.parse(String(body).replace(/^{}&&/, '').trim());
+        return data?.resultCode === 0 || data?.resultCode === undefined ? data?.payload || null : null;
+    } catch {
+        return null;
+    }
+};
+
+const toEstimate = (info) => {
+    const estimate = parseMoney(info?.predictedValue);
+    if (!estimate) return null;
+    return {
+        estimate: Math.round(estimate),
+        low: parseMoney(info.predictedValueLow) ?? null,
+        high: parseMoney(info.predictedValueHigh) ?? null,
+    };
+};
+
+/**
+ * `{ estimate, low, high }` from the AVM endpoint, or null when the home has no Redfin Estimate
+ * (Redfin hides it for some listings) or the answer did not parse.
+ */
+export const parseAvmResponse = (body) => toEstimate(parseStingrayPayload(body));
+
+// The rental estimate sits under `rentalEstimateInfo`
+export const parseRentalEstimateResponse = (body) => {
+    const payload = parseStingrayPayload(body);
+    return toEstimate(payload?.rentalEstimateInfo || payload);
+};
+
+// Redfin's numeric property id: the record's own, or the one at the end of its home URL
+const redfinPropertyId = (property) =>
+    /^\d+$/.test(String(property.propertyId ?? '')) ? property.propertyId : propertyIdFromUrl(property.url);
+
+// ============================================================================
+// ENRICHMENT
+// ============================================================================
+
+/**
+ * Look up the Redfin Estimate and rental estimate of saved properties at the `avmEndpoint` and
+ * `rentalEstimateEndpoint` stingray APIs. The lookups go through `fetchPage`, so they share the
+ * fetcher's concurrency and throttle with detail pages. `fetchEstimates(property)` resolves with
+ * `redfinEstimate`, `redfinEstimateLow` / `High`, `rentalEstimate`, `rentalEstimateLow` / `High`, and how
+ * far the list price is above (positive) or below the estimate, in dollars and percent.
+ * A lookup that fails leaves its fields null; it never throws.
+ */
+export const createEstimateFetcher = ({ fetchPage, avmEndpoint, rentalEstimateEndpoint }) => {
+    const counts = { estimated: 0, rentalEstimated: 0, failed: 0 };
+
+    const lookup = async (endpoint, label, propertyId, parse) => {
+        const url = `${endpoint}?${new URLSearchParams({ propertyId, accessLevel: 1 }).toString()}`;
+        try {
+            const res = await fetchPage({ url, label });
+            if (res.responseClass !== RESPONSE_CLASSES.ok) {
+                throw new Error(`${res.responseClass} ${res.statusCode ?? res.error}`);
+            }
+            return parse(res.body);
+        } catch (err) {
+            counts.failed += 1;
+            log.debug(`💲 ${label} lookup for ${propertyId} failed: ${err.message}`);
+            return null;
+        }
+    };
+
+    const fetchEstimates = async (property) => {
+        const propertyId = redfinPropertyId(property);
+        if (!propertyId) return { ...EMPTY_ESTIMATES };
+
+        const [avm, rental] = await Promise.all([
+            lookup(avmEndpoint, REQUEST_LABELS.avm, propertyId, parseAvmResponse),
+            lookup(rentalEstimateEndpoint, REQUEST_LABELS.rentalEstimate, propertyId, parseRentalEstimateResponse),
+        ]);
+        if (avm) counts.estimated += 1;
+        if (rental) counts.rentalEstimated += 1;
+
+        // In sold mode `price` is the closing price; the comparison is with the asking price
+        const listPrice = property.lastListPrice ?? property.price;
+        const delta = avm && listPrice ? listPrice - avm.estimate : null;
+        return {
+            redfinEstimate: avm?.estimate ?? null,
+            redfinEstimateLow: avm?.low ?? null,
+            redfinEstimateHigh: avm?.high ?? null,
+            rentalEstimate: rental?.estimate ?? null,
+            rentalEstimateLow: rental?.low ?? null,
+            rentalEstimateHigh: rental?.high ?? null,
+            listPriceVsEstimate: delta,
+            listPriceVsEstimatePercent: delta === null ? null : Math.round((delta / avm.estimate) * 1000) / 10,
+        };
+    };
+
+    return { fetchEstimates, counts };
+};
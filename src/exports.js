@@ -0,0 +1,193 @@
+// Run exports - the saved rows as GeoJSON, flat CSV and gzipped JSONL records in the key-value store
+import { gzipSync } from 'node:zlib';
+
+import { Actor, log } from 'apify';
+
+import { PROVENANCE_FIELD } from './merge.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const EXPORT_FORMATS = {
+    geojson: 'geojson',
+    csv: 'csv',
+    jsonl: 'jsonl',
+};
+
+export const EXPORT_KEYS = {
+    geojson: 'EXPORT_GEOJSON',
+    csv: 'EXPORT_CSV',
+    jsonl: 'EXPORT_JSONL_GZ',
+};
+
+// Row fields in export order: the dataset schema's, then the monitoring fields
+const COLUMNS = [
+    'propertyId',
+    'url',
+    'address',
+    'streetAddress',
+    'city',
+    'state',
+    'zip',
+    'price',
+    'priceCurrency',
+    'beds',
+    'baths',
+    'sqft',
+    'propertyType',
+    'status',
+    'statusText',
+    'listingDate',
+    'daysOnMarket',
+    'pricePerSqft',
+    'saleType',
+    'description',
+    'latitude',
+    'longitude',
+    'mlsNumber',
+    'lotSizeSqft',
+    'yearBuilt',
+    'hoa',
+    'soldPrice',
+    'soldDate',
+    'lastListPrice',
+    'listToSaleRatio',
+    'priceHistory',
+    'taxHistory',
+    'listingAgent',
+    'mlsAttribution',
+    'openHouses',
+    'photos',
+    'photoKeys',
+    'facts',
+    'features',
+    'redfinEstimate',
+    'redfinEstimateLow',
+    'redfinEstimateHigh',
+    'rentalEstimate',
+    'rentalEstimateLow',
+    'rentalEstimateHigh',
+    'listPriceVsEstimate',
+    'listPriceVsEstimatePercent',
+    'source',
+    'pageStatus',
+    'changeType',
+    'changes',
+    'lastSeen',
+    'fetched_at',
+    PROVENANCE_FIELD,
+    'startUrl',
+    'searchArea',
+];
+
+// Objects of a known shape get a column per key ("listingAgent.name"); lists and free-form maps
+// (facts, provenance) stay whole
+const FLATTENED_FIELDS = {
+    listingAgent: ['name', 'brokerage', 'licenseNumber', 'phone', 'email'],
+    features: [
+        'garageSpaces',
+        'hasGarage',
+        'hasPool',
+        'hasBasement',
+        'fireplaces',
+        'hasFireplace',
+        'hasCentralAir',
+        'hasLaundry',
+    ],
+};
+
+/**
+ * Flat column names in their fixed order; the same for every run, whatever the rows hold.
+ */
+export const EXPORT_COLUMNS = COLUMNS.flatMap((field) =>
+    FLATTENED_FIELDS[field] ? FLATTENED_FIELDS[field].map((key) => `${field}.${key}`) : [field]
+);
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+/**
+ * A row as `{ [column]: value }` over EXPORT_COLUMNS, missing fields as null. Fields outside the
+ * columns are left out.
+ */
+export const flattenRow = (row) =>
+    Object.fromEntries(
+        EXPORT_COLUMNS.map((column) => {
+            const [field, key] = column.split('.');
+            const value = key ? row[field]?.[key] : row[field];
+            return [column, value ?? null];
+        })
+    );
+
+const toCsvCell = (value) => {
+    if (value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV with a header row of EXPORT_COLUMNS. Lists and maps are JSON text in their cell,
+ * nulls are empty cells.
+ */
+export const toCsv = (rows) =>
+    [EXPORT_COLUMNS, ...rows.map((row) => Object.values(flattenRow(row)))]
+        .map((cells) => cells.map(toCsvCell).join(','))
+        .join('\r\n')
+        .concat('\r\n');
+
+/**
+ * A GeoJSON FeatureCollection with a Point per row that has coordinates, the flattened row as its
+ * properties. Rows without coordinates (removed listings, pages without a map) are left out.
+ */
+export const toGeoJson = (rows) => ({
+    type: 'FeatureCollection',
+    features: rows
+        .filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude))
+        .map((row) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [row.longitude, row.latitude] },
+            properties: flattenRow(row),
+        })),
+});
+
+// One row per line, as saved
+export const toJsonl = (rows) => rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Read every row of the run's default dataset, rows saved before a migration included, and write
+ * the requested `formats` to the default key-value store under EXPORT_KEYS. Resolves with
+ * `{ [format]: { key, rows } }` for the summary.
+ */
+export const writeExports = async (formats) => {
+    const rows = [];
+    const dataset = await Actor.openDataset();
+    await dataset.forEach((row) => {
+        rows.push(row);
+    });
+
+    const written = {};
+    for (const format of formats) {
+        const key = EXPORT_KEYS[format];
+        if (format === EXPORT_FORMATS.geojson) {
+            const collection = toGeoJson(rows);
+            await Actor.setValue(key, JSON.stringify(collection), { contentType: 'application/geo+json' });
+            written[format] = { key, rows: collection.features.length };
+        } else if (format === EXPORT_FORMATS.csv) {
+            await Actor.setValue(key, toCsv(rows), { contentType: 'text/csv; charset=utf-8' });
+            written[format] = { key, rows: rows.length };
+        } else if (format === EXPORT_FORMATS.jsonl) {
+            await Actor.setValue(key, gzipSync(toJsonl(rows)), { contentType: 'application/gzip' });
+            written[format] = { key, rows: rows.length };
+        }
+    }
+
+    const described = Object.entries(written).map(([format, { key, rows: count }]) => `${format} (${count} rows, ${key})`);
+    if (described.length) log.info(`📦 Exports: ${described.join(', ')}`);
+    return written;
+};
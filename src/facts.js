@@ -0,0 +1,174 @@
+// Property facts - the detail page's facts and amenities area as a nested map, plus normalized features
+import { cleanText, matchesLabel } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const KEY_DETAIL_ROWS = ['.keyDetailsList .keyDetail', '.keyDetails-row', '.key-details-list .keyDetail'].join(', ');
+
+// One group per titled block ("Parking / Garage Information"); super groups ("Interior") hold several
+const AMENITY_GROUPS = ['.amenity-group', '.propertyDetailsGroup', '.facts-table .fact-group'].join(', ');
+const SUPER_GROUP_TITLES = '.super-group-title, .propertyDetailsHeader';
+const GROUP_TITLES = '.title, .group-title, h3, h4';
+const GROUP_ENTRIES = '.entryItemContent, li';
+
+const SCHOOL_ITEMS = ['.SchoolsListItem', '.schools-content .school', '[data-rf-test-id="school-item"]'].join(', ');
+
+const KEY_DETAILS_SECTION = 'Key Details';
+const SCHOOLS_SECTION = 'Schools';
+
+// Values that state a feature is absent: "None", "No", "No Basement", "0"
+const NONE_VALUE = /^(?:no|none|n\/a|0|false|not applicable)\b(?:\s+\w+)?$/i;
+// Amenities of the building or community rather than the home
+const SHARED = /community|association|common|shared|in building|\bhoa\b/i;
+
+// ============================================================================
+// FACTS
+// ============================================================================
+
+// "Garage Spaces: 2" -> ['Garage Spaces', '2']; a bullet without a label ("Central Air") is a feature on its own
+const splitEntry = (text) => {
+    const colon = text.indexOf(':');
+    if (colon <= 0) return [text, true];
+    return [cleanText(text.slice(0, colon)), cleanText(text.slice(colon + 1)) || true];
+};
+
+const parseKeyDetails = ($, addFact) => {
+    $(KEY_DETAIL_ROWS).each((_, el) => {
+        const $el = $(el);
+        const label = cleanText($el.find('.header, .valueType, dt').first().text());
+        const value = cleanText($el.find('.content, .valueText, dd').first().text());
+        if (label && value) addFact(KEY_DETAILS_SECTION, label, value);
+    });
+    const terms = $('.keyDetailsList dl').find('dt, dd');
+    for (let i = 0; i < terms.length; i += 2) {
+        const label = cleanText($(terms[i]).text());
+        const value = cleanText($(terms[i + 1]).text());
+        if (label && value) addFact(KEY_DETAILS_SECTION, label, value);
+    }
+};
+
+const parseAmenityGroups = ($, addFact) => {
+    $(AMENITY_GROUPS).each((_, el) => {
+        const $group = $(el);
+        // Untitled groups take the title of their super group
+        const section =
+            cleanText($group.find(GROUP_TITLES).first().text()) ||
+            cleanText($group.closest('.super-group-content').prevAll(SUPER_GROUP_TITLES).first().text());
+        $group.find(GROUP_ENTRIES).each((__, entry) => {
+            // An `li` around an `.entryItemContent` is read once, through the inner element
+            if ($(entry).is('li') && $(entry).find('.entryItemContent').length) return;
+            const text = cleanText($(entry).text());
+            if (text) addFact(section, ...splitEntry(text));
+        });
+    });
+};
+
+const parseSchools = ($, addFact) => {
+    $(SCHOOL_ITEMS).each((_, el) => {
+        const $el = $(el);
+        const name = cleanText($el.find('.school-title, .school-name, a').first().text());
+        if (!name) return;
+        const details = $el
+            .find('.school-info, .school-detail, .rating, .fact, .value')
+            .map((__, detail) => cleanText($(detail).text()))
+            .get()
+            .filter(Boolean);
+        addFact(SCHOOLS_SECTION, name, details.length ? details.join(' • ') : true);
+    });
+};
+
+/**
+ * Every fact of the detail page as `{ [section]: { [label]: value } }`, sections and labels as the page
+ * shows them: the key details, each group of the facts and amenities area (interior, parking,
+ * heating and cooling, utilities, lot...) and the nearby schools. Values are the text shown; a bullet
+ * without a label ("Central Air") is `true`. Returns null when the page has no facts area.
+ */
+export const parseFacts = ($) => {
+    const facts = {};
+    const addFact = (section, label, value) => {
+        if (!section || !label) return;
+        facts[section] ||= {};
+        const entries = facts[section];
+        const known = entries[label];
+        // A label listed twice in one section ("Appliances") keeps both values
+        if (known === undefined || known === true) entries[label] = value;
+        else if (value !== true && !String(known).split(', ').includes(value)) entries[label] = `${known}, ${value}`;
+    };
+    parseKeyDetails($, addFact);
+    parseAmenityGroups($, addFact);
+    parseSchools($, addFact);
+    return Object.keys(facts).length ? facts : null;
+};
+
+// [section, label, value] of every fact
+const factEntries = (facts) =>
+    Object.entries(facts || {}).flatMap(([section, entries]) =>
+        Object.entries(entries).map(([label, value]) => [section, label, value])
+    );
+
+/**
+ * The first fact labelled one of `labels` (lower case, see `matchesLabel`), outside the schools section.
+ * Null when none is.
+ */
+export const findFact = (facts, labels) => {
+    const match = factEntries(facts).find(
+        ([section, label, value]) => section !== SCHOOLS_SECTION && value !== true && matchesLabel(label, labels)
+    );
+    return match ? match[2] : null;
+};
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+const isPresent = (value) => value === true || !NONE_VALUE.test(String(value).trim());
+
+// True when a matching fact says so, false when the matching facts all say none, null when none mentions it
+const hasFeature = (entries) => (entries.length ? entries.some(([, , value]) => isPresent(value)) : null);
+
+const countOf = (entries) => {
+    const counts = entries
+        .map(([, , value]) => Number(String(value).match(/^\d+\b/)?.[0]))
+        .filter((count) => Number.isFinite(count));
+    return counts.length ? Math.max(...counts) : null;
+};
+
+/**
+ * Normalized versions of common facts: `garageSpaces` and `fireplaces` as counts, `hasGarage`,
+ * `hasPool` (the home's own, not a community pool), `hasBasement`, `hasFireplace`, `hasCentralAir`
+ * and `hasLaundry` (in the home; shared laundry counts as false) as booleans. Each is null when the
+ * page does not mention it.
+ */
+export const deriveFeatures = (facts) => {
+    const entries = factEntries(facts).filter(([section]) => section !== SCHOOLS_SECTION);
+    const matching = (pattern) => entries.filter(([, label]) => pattern.test(label));
+    const text = ([, label, value]) => `${label} ${value === true ? '' : value}`;
+
+    const garage = matching(/garage/i);
+    const garageCounts = garage.filter(([, label]) => /spaces|capacity|stalls|#|number|no\./i.test(label));
+    const carGarage = garage.map((entry) => text(entry).match(/(\d+)[\s-]*car\b/i)?.[1]).filter(Boolean);
+    const garageSpaces = countOf(garageCounts) ?? (carGarage.length ? Math.max(...carGarage.map(Number)) : null);
+    const parkingGarage = matching(/parking/i).some((entry) => /\bgarage\b/i.test(text(entry)));
+
+    const pool = matching(/\bpool\b/i).filter((entry) => !SHARED.test(text(entry)));
+    const fireplace = matching(/fireplace/i);
+    const fireplaces = countOf(fireplace.filter(([, label]) => /#|number|no\.|fireplaces|count/i.test(label)));
+    const cooling = matching(/cooling|air condition|a\/c\b/i);
+    const centralAir = entries.some((entry) => /central\s*(?:air|a\/c|ac\b|cooling)/i.test(text(entry)));
+    const laundry = matching(/laundry|washer|dryer/i);
+    // A cooling fact that names another system (window units) rules central air out; a bare "Yes" does not
+    const coolingKnown = cooling.length > 0 && !cooling.some(([, , value]) => value === true || /^yes$/i.test(value));
+
+    return {
+        garageSpaces,
+        hasGarage: garageSpaces > 0 || parkingGarage || hasFeature(garage),
+        hasPool: hasFeature(pool),
+        hasBasement: hasFeature(matching(/basement/i)),
+        fireplaces,
+        hasFireplace: fireplaces === null ? hasFeature(fireplace) : fireplaces > 0,
+        hasCentralAir: centralAir || (coolingKnown ? false : null),
+        hasLaundry: laundry.length ? laundry.some((entry) => isPresent(entry[2]) && !SHARED.test(text(entry))) : null,
+    };
+};
@@ -0,0 +1,235 @@
+// Queued HTTP fetching - every listing, sitemap and detail request goes through one Crawlee
+// RequestQueue worked by an HttpCrawler with a session pool, retries and a request-rate cap
+import { randomUUID } from 'node:crypto';
+
+import { Actor, log } from 'apify';
+import { HttpCrawler, RequestQueue, RetryRequestError } from 'crawlee';
+
+import { ClassifiedResponseError, classifyError, classifyResponse, isBlockClass, RESPONSE_CLASSES } from './blocking.js';
+import { createThrottle, parseRetryAfter } from './throttle.js';
+import { sleep } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Besides HTML the crawler has to accept the GIS payload, CSV downloads, sitemaps, gzipped sitemaps and photos
+const ADDITIONAL_MIME_TYPES = [
+    'text/csv',
+    'application/json',
+    'text/plain',
+    'text/javascript',
+    'application/javascript',
+    'application/xml',
+    'text/xml',
+    'application/x-gzip',
+    'application/gzip',
+    'application/octet-stream',
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+];
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+// 429s are retried outside the normal retry budget, but not forever
+const MAX_RATE_LIMIT_RETRIES = 8;
+
+export const REQUEST_LABELS = {
+    search: 'SEARCH',
+    gis: 'GIS',
+    csv: 'CSV',
+    sitemap: 'SITEMAP',
+    detail: 'DETAIL',
+    autocomplete: 'AUTOCOMPLETE',
+    photo: 'PHOTO',
+    avm: 'AVM',
+    rentalEstimate: 'RENTAL_ESTIMATE',
+};
+
+// ============================================================================
+// FETCHER
+// ============================================================================
+
+// A RetryRequestError is retried whatever the retry count, so a rate limit does not fail the request
+class RateLimitedError extends RetryRequestError {
+    constructor(url) {
+        super(`Rate limited (429): ${url}`);
+        this.responseClass = RESPONSE_CLASSES.rateLimited;
+        this.statusCode = 429;
+    }
+}
+
+/**
+ * Start a keep-alive HttpCrawler and return `fetch()`, which enqueues one request and resolves
+ * with `{ statusCode, body, buffer, contentType, url, responseClass }` once the crawler has handled it.
+ * Block and captcha pages are retried on a fresh session (proxy) and user agent, 429s after the
+ * shared throttle's pause. After the retries run out it resolves with `statusCode: null` and
+ * `error` instead of throwing, and the URL is recorded in the failed-requests dataset.
+ * Every attempt is reported to `circuitBreaker`.
+ */
+export const createFetcher = async ({
+    proxyConfiguration,
+    maxConcurrency = 3,
+    maxRequestsPerMinute = 120,
+    maxRequestRetries = 3,
+    failedRequestsDatasetName = 'redfin-failed-requests',
+    getHeaders,
+    circuitBreaker,
+}) => {
+    // The crawl cursor decides what a resumed run fetches again, so leftovers of an earlier container are dropped
+    const staleQueue = await RequestQueue.open();
+    await staleQueue.drop();
+    const requestQueue = await RequestQueue.open();
+    const failedDataset = await Actor.openDataset(failedRequestsDatasetName);
+    const waiters = new Map();
+    const counts = { succeeded: 0, failed: 0, retried: 0 };
+    const throttle = createThrottle({ maxRequestsPerMinute });
+
+    const settle = (request, result) => {
+        const waiter = waiters.get(request.userData.waiterKey);
+        if (!waiter) return;
+        waiters.delete(request.userData.waiterKey);
+        waiter(result);
+    };
+
+    const crawler = new HttpCrawler({
+        requestQueue,
+        proxyConfiguration,
+        keepAlive: true,
+        maxConcurrency,
+        maxRequestsPerMinute,
+        maxRequestRetries,
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        sessionPoolOptions: {
+            maxPoolSize: 50,
+            // 429 is not a block: the request handler pauses the throttle and retries the same request
+            blockedStatusCodes: [401, 403],
+        },
+        additionalMimeTypes: ADDITIONAL_MIME_TYPES,
+        navigationTimeoutSecs: 30,
+        requestHandlerTimeoutSecs: 60,
+        requestHandler: async ({ request, response, body, contentType }) => {
+            const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '');
+            const text = buffer.toString(contentType?.encoding || 'utf8');
+            const responseClass = classifyResponse({
+                statusCode: response.statusCode,
+                body: text,
+                contentType: contentType?.type,
+                label: request.label,
+            });
+            if (responseClass === RESPONSE_CLASSES.rateLimited) {
+                throttle.onRateLimited(parseRetryAfter(response.headers['retry-after']));
+                request.userData.rateLimitRetries = (request.userData.rateLimitRetries || 0) + 1;
+                if (request.userData.rateLimitRetries <= MAX_RATE_LIMIT_RETRIES) throw new RateLimitedError(request.url);
+            }
+            // Block pages served with a 2xx status go through the retry path like a 403 would
+            if (isBlockClass(responseClass) || responseClass === RESPONSE_CLASSES.rateLimited) {
+                throw new ClassifiedResponseError(responseClass, request.url, response.statusCode);
+            }
+
+            circuitBreaker?.record(responseClass);
+            throttle.onSuccess();
+            counts.succeeded += 1;
+            settle(request, {
+                statusCode: response.statusCode,
+                body: text,
+                buffer,
+                contentType: contentType?.type || null,
+                url: request.loadedUrl || request.url,
+                responseClass,
+            });
+        },
+        // Exponential backoff with jitter before the request goes back to the queue
+        errorHandler: async ({ request, session }, error) => {
+            counts.retried += 1;
+            const responseClass = classifyError(error);
+            circuitBreaker?.record(responseClass);
+            if (isBlockClass(responseClass)) {
+                // A retired session takes its proxy with it; the retry also gets a new user agent
+                session?.retire();
+                request.headers = { ...request.headers, ...getHeaders(request.label) };
+            } else if (responseClass === RESPONSE_CLASSES.rateLimited) {
+                session?.markBad();
+                // Crawlee still bumps the count after this handler; the attempt is given back
+                if (error instanceof RateLimitedError) request.retryCount -= 1;
+                // The throttle already paused for Retry-After, so no extra backoff here
+                await throttle.acquire();
+                return;
+            }
+            const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** request.retryCount);
+            log.debug(`🔁 Retry ${request.retryCount} for ${request.url} in ${delay}ms: ${error.message}`);
+            await sleep(delay / 2 + Math.random() * (delay / 2));
+            await throttle.acquire();
+        },
+        failedRequestHandler: async ({ request }, error) => {
+            counts.failed += 1;
+            const responseClass = classifyError(error);
+            circuitBreaker?.record(responseClass);
+            const statusCode = error.statusCode ?? (Number(error.message.match(/\b([1-5]\d{2})\b/)?.[1]) || null);
+            await failedDataset.pushData({
+                url: request.url,
+                label: request.label,
+                errorMessage: error.message,
+                statusCode,
+                responseClass,
+                retryCount: request.retryCount,
+                runId: Actor.getEnv().actorRunId || null,
+                failedAt: new Date().toISOString(),
+            });
+            log.warning(`❌ Giving up on ${request.url} after ${request.retryCount} retries: ${error.message}`);
+            settle(request, {
+                statusCode: null,
+                body: null,
+                buffer: null,
+                contentType: null,
+                responseClass,
+                error: error.message,
+            });
+        },
+    });
+
+    const running = crawler.run();
+
+    // While the breaker is open nothing new is sent; requests already queued keep their retries.
+    // New requests are enqueued at the throttle's pace, so the queue never holds a burst.
+    const fetch = async ({ url, label, headers }) => {
+        await circuitBreaker?.waitUntilClosed();
+        await throttle.acquire();
+        return new Promise((resolve) => {
+            const waiterKey = randomUUID();
+            waiters.set(waiterKey, resolve);
+            // A fresh unique key per call: the same URL may legitimately be fetched again
+            crawler
+                .addRequests([
+                    {
+                        url,
+                        label,
+                        headers: { ...getHeaders(label), ...headers },
+                        uniqueKey: `${url}#${waiterKey}`,
+                        userData: { waiterKey },
+                    },
+                ])
+                .catch((err) => {
+                    waiters.delete(waiterKey);
+                    resolve({
+                        statusCode: null,
+                        body: null,
+                        buffer: null,
+                        contentType: null,
+                        responseClass: RESPONSE_CLASSES.error,
+                        error: err.message,
+                    });
+                });
+        });
+    };
+
+    const close = async () => {
+        crawler.stop('All regions processed');
+        await running;
+    };
+
+    return { fetch, close, counts, throttle };
+};
@@ -0,0 +1,287 @@
+// Search filters - GIS request parameters + post-scrape filtering for fallback rows
+import { parseMoney } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Redfin `uipt` codes used by the GIS endpoint
+export const HOME_TYPE_CODES = {
+    house: 1,
+    condo: 2,
+    townhouse: 3,
+    multiFamily: 4,
+    land: 5,
+    other: 6,
+    manufactured: 7,
+    coop: 8,
+};
+
+// Redfin `status` is a bitmask of disjoint flags: 1 = for sale, 8 = coming soon, 130 = pending / under contract
+export const LISTING_STATUS_BITS = {
+    forSale: 1,
+    comingSoon: 8,
+    pending: 130,
+};
+
+// Every status a listing can be classified as; the record `status` field takes these values
+export const LISTING_STATUSES = [...Object.keys(LISTING_STATUS_BITS), 'sold', 'offMarket'];
+
+// What a search without a status filter asks for, and so what every source's rows are held to
+export const DEFAULT_LISTING_STATUSES = ['forSale', 'comingSoon'];
+
+// Sold-within windows offered in the input, in days, with the matching search-page URL filter
+export const SOLD_WITHIN_DAYS = {
+    '30d': 30,
+    '90d': 90,
+    '6mo': 180,
+    '1y': 365,
+    '3y': 1095,
+};
+
+const SOLD_URL_FILTERS = {
+    30: 'sold-1mo',
+    90: 'sold-3mo',
+    180: 'sold-6mo',
+    365: 'sold-1yr',
+    1095: 'sold-3yr',
+};
+
+// GIS `propertyType` codes differ from `uipt` codes
+const GIS_PROPERTY_TYPES = {
+    1: 'house',
+    3: 'condo',
+    4: 'multiFamily',
+    5: 'land',
+    6: 'house',
+    7: 'other',
+    8: 'manufactured',
+    13: 'townhouse',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const positiveOrNull = (value) => {
+    const num = parseMoney(value);
+    return num !== null && num > 0 ? num : null;
+};
+
+/**
+ * Map a scraped property type (GIS code, JSON-LD @type or label text) onto a `HOME_TYPE_CODES` key.
+ */
+export const classifyHomeType = (propertyType) => {
+    if (propertyType === null || propertyType === undefined || propertyType === '') return null;
+    if (typeof propertyType === 'number' || /^\d+$/.test(String(propertyType))) {
+        return GIS_PROPERTY_TYPES[Number(propertyType)] || 'other';
+    }
+
+    const text = String(propertyType).toLowerCase();
+    if (text.includes('townho')) return 'townhouse';
+    if (text.includes('co-op') && !text.includes('condo')) return 'coop';
+    if (text.includes('condo') || text.includes('apartment')) return 'condo';
+    if (text.includes('multi')) return 'multiFamily';
+    if (text.includes('land') || text.includes('lot')) return 'land';
+    if (text.includes('manufactured') || text.includes('mobile')) return 'manufactured';
+    if (text.includes('single') || text.includes('house') || text.includes('residence')) return 'house';
+    return 'other';
+};
+
+/**
+ * Map a scraped status label onto one of `LISTING_STATUSES`.
+ */
+export const classifyListingStatus = (status) => {
+    if (!status) return null;
+    // Normalized records already carry the key
+    if (LISTING_STATUSES.includes(status)) return status;
+    const text = String(status).toLowerCase();
+    if (text.includes('sold') || text.includes('closed')) return 'sold';
+    if (text.includes('coming soon')) return 'comingSoon';
+    if (text.includes('pending') || text.includes('contingent') || text.includes('under contract')) return 'pending';
+    if (text.includes('active') || text.includes('for sale')) return 'forSale';
+    if (/off[\s-]market|withdrawn|expired|cancel+ed|delisted|removed|no longer (?:available|on the market)/.test(text)) {
+        return 'offMarket';
+    }
+    return null;
+};
+
+// ============================================================================
+// FILTER NORMALIZATION
+// ============================================================================
+
+/**
+ * Read the filter block from the actor input. Unset or invalid values become null
+ * so that both the GIS params and the post-filter can skip them.
+ * `soldWithinDays` is only set in sold mode, where the listing-status filter does not apply.
+ */
+export const normalizeFilters = (input = {}) => {
+    const soldMode = input.searchMode === 'sold';
+    const homeTypes = (Array.isArray(input.homeTypes) ? input.homeTypes : []).filter((t) =>
+        Object.prototype.hasOwnProperty.call(HOME_TYPE_CODES, t)
+    );
+    const listingStatuses = (Array.isArray(input.listingStatus) ? input.listingStatus : []).filter((s) =>
+        Object.prototype.hasOwnProperty.call(LISTING_STATUS_BITS, s)
+    );
+
+    return {
+        minPrice: positiveOrNull(input.minPrice),
+        maxPrice: positiveOrNull(input.maxPrice),
+        minBeds: positiveOrNull(input.minBeds),
+        minBaths: positiveOrNull(input.minBaths),
+        minSqft: positiveOrNull(input.minSqft),
+        maxSqft: positiveOrNull(input.maxSqft),
+        minYearBuilt: positiveOrNull(input.minYearBuilt),
+        maxYearBuilt: positiveOrNull(input.maxYearBuilt),
+        maxDaysOnMarket: positiveOrNull(input.maxDaysOnMarket),
+        openHouseWithinDays: positiveOrNull(input.openHouseWithinDays),
+        homeTypes: homeTypes.length ? homeTypes : null,
+        listingStatuses: listingStatuses.length && !soldMode ? listingStatuses : null,
+        soldWithinDays: soldMode ? SOLD_WITHIN_DAYS[input.soldWithin] || SOLD_WITHIN_DAYS['90d'] : null,
+    };
+};
+
+export const describeFilters = (filters) =>
+    Object.entries(filters)
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('|') : value}`)
+        .join(', ');
+
+// ============================================================================
+// GIS REQUEST PARAMETERS
+// ============================================================================
+
+/**
+ * Translate normalized filters into GIS query parameters. The defaults match what
+ * the actor sent before filters existed (all home types, for sale + coming soon).
+ * Sold searches keep the default status and add `sold_within_days`.
+ */
+export const buildGisFilterParams = (filters) => {
+    const params = {
+        uipt: filters.homeTypes
+            ? filters.homeTypes
+                  .map((t) => HOME_TYPE_CODES[t])
+                  .sort((a, b) => a - b)
+                  .join(',')
+            : '1,2,3,4,5,6,7,8',
+        status: filters.listingStatuses
+            ? [...new Set(filters.listingStatuses)].reduce((mask, s) => mask + LISTING_STATUS_BITS[s], 0)
+            : DEFAULT_LISTING_STATUSES.reduce((mask, s) => mask + LISTING_STATUS_BITS[s], 0),
+    };
+
+    if (filters.minPrice) params.min_price = filters.minPrice;
+    if (filters.maxPrice) params.max_price = filters.maxPrice;
+    if (filters.minBeds) params.num_beds = filters.minBeds;
+    if (filters.minBaths) params.num_baths = filters.minBaths;
+    if (filters.minSqft) params.min_listing_approx_size = filters.minSqft;
+    if (filters.maxSqft) params.max_listing_approx_size = filters.maxSqft;
+    if (filters.minYearBuilt) params.min_year_built = filters.minYearBuilt;
+    if (filters.maxYearBuilt) params.max_year_built = filters.maxYearBuilt;
+    if (filters.maxDaysOnMarket) params.time_on_market_range = `-${filters.maxDaysOnMarket}`;
+    if (filters.soldWithinDays) params.sold_within_days = filters.soldWithinDays;
+
+    return params;
+};
+
+/**
+ * Add the sold window to a search-page URL so the browser fallback loads sold homes too.
+ */
+export const buildSearchPageUrl = (url, filters) => {
+    if (!filters.soldWithinDays) return url;
+    const include = `include=${SOLD_URL_FILTERS[filters.soldWithinDays]}`;
+    const base = url.replace(/\/+$/, '');
+    return base.includes('/filter/') ? `${base},${include}` : `${base}/filter/${include}`;
+};
+
+// ============================================================================
+// POST-SCRAPE FILTERING
+// ============================================================================
+
+const daysSince = (isoDate) => {
+    const time = Date.parse(isoDate);
+    if (Number.isNaN(time)) return null;
+    return Math.max(0, Math.floor((Date.now() - time) / DAY_MS));
+};
+
+// An open house counts until it ends (or starts, without an end time) and when it starts within the window;
+// its times are UTC timestamps (see `openHousesInUtc`)
+const hasOpenHouseWithin = (openHouses, days) => {
+    const now = Date.now();
+    return (openHouses || []).some(({ start, end }) => {
+        const startTime = Date.parse(start);
+        const endTime = Date.parse(end || start);
+        return endTime >= now && startTime <= now + days * DAY_MS;
+    });
+};
+
+/**
+ * Check a record produced by `buildProperty` against the filters.
+ * Returns the name of the first failing filter, or null when the record passes.
+ * A field the record does not carry never fails a filter - fallback rows are often sparse -
+ * except for open houses, where no listed open house means none is scheduled.
+ */
+export const findFailedFilter = (property, filters) => {
+    const price = parseMoney(property.price);
+    if (price !== null) {
+        if (filters.minPrice && price < filters.minPrice) return 'minPrice';
+        if (filters.maxPrice && price > filters.maxPrice) return 'maxPrice';
+    }
+
+    if (filters.minBeds && property.beds !== null && property.beds !== undefined && property.beds < filters.minBeds) {
+        return 'minBeds';
+    }
+    if (
+        filters.minBaths &&
+        property.baths !== null &&
+        property.baths !== undefined &&
+        property.baths < filters.minBaths
+    ) {
+        return 'minBaths';
+    }
+
+    if (property.sqft) {
+        if (filters.minSqft && property.sqft < filters.minSqft) return 'minSqft';
+        if (filters.maxSqft && property.sqft > filters.maxSqft) return 'maxSqft';
+    }
+
+    const yearBuilt = parseMoney(property.yearBuilt);
+    if (yearBuilt !== null) {
+        if (filters.minYearBuilt && yearBuilt < filters.minYearBuilt) return 'minYearBuilt';
+        if (filters.maxYearBuilt && yearBuilt > filters.maxYearBuilt) return 'maxYearBuilt';
+    }
+
+    if (filters.maxDaysOnMarket && property.listingDate) {
+        const dom = daysSince(property.listingDate);
+        if (dom !== null && dom > filters.maxDaysOnMarket) return 'maxDaysOnMarket';
+    }
+
+    if (filters.openHouseWithinDays && !hasOpenHouseWithin(property.openHouses, filters.openHouseWithinDays)) {
+        return 'openHouseWithinDays';
+    }
+
+    if (filters.homeTypes) {
+        const homeType = classifyHomeType(property.propertyType);
+        if (homeType && !filters.homeTypes.includes(homeType)) return 'homeTypes';
+    }
+
+    // Without a status filter the search still asks for the default statuses only, and the CSV,
+    // browser and sitemap rows are held to the same
+    const listingStatuses = filters.soldWithinDays ? null : filters.listingStatuses || DEFAULT_LISTING_STATUSES;
+    if (listingStatuses) {
+        const status = classifyListingStatus(property.status);
+        if (status && !listingStatuses.includes(status)) return 'listingStatus';
+    }
+
+    if (filters.soldWithinDays) {
+        const status = classifyListingStatus(property.status);
+        if (status && status !== 'sold') return 'soldOnly';
+        if (property.soldDate) {
+            const daysAgo = daysSince(property.soldDate);
+            if (daysAgo !== null && daysAgo > filters.soldWithinDays) return 'soldWithin';
+        }
+    }
+
+    return null;
+};
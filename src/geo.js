@@ -0,0 +1,220 @@
+// Custom search areas - GeoJSON polygons, bounding boxes and radius circles for the GIS `poly` parameter
+import { createHash } from 'node:crypto';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const AREA_KINDS = {
+    polygon: 'polygon',
+    bbox: 'bbox',
+    radius: 'radius',
+};
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LAT = 69.05;
+// Points of the polygon sent for a radius search; results are clipped to the true circle
+const CIRCLE_POINTS = 32;
+// Longer outlines are sent as their bounding box to keep the URL short, and clipped afterwards
+const MAX_POLY_POINTS = 100;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+const isPosition = (position) =>
+    Array.isArray(position) &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90;
+
+const closeRing = (ring) => {
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+// Polygon, MultiPolygon, Feature or FeatureCollection -> list of polygons, each a list of [lng, lat] rings
+const readPolygons = (geojson) => {
+    switch (geojson?.type) {
+        case 'Feature':
+            return readPolygons(geojson.geometry);
+        case 'FeatureCollection':
+            return (geojson.features || []).flatMap(readPolygons);
+        case 'Polygon':
+            return [geojson.coordinates];
+        case 'MultiPolygon':
+            return geojson.coordinates || [];
+        default:
+            throw new Error(
+                `"searchPolygon" must be a GeoJSON Polygon or MultiPolygon, got ${geojson?.type || 'nothing'}`
+            );
+    }
+};
+
+const envelopeOf = (polygons) => {
+    const positions = polygons.flatMap(([outer]) => outer);
+    const lngs = positions.map(([lng]) => lng);
+    const lats = positions.map(([, lat]) => lat);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+const boxRing = ([west, south, east, north]) => [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+];
+
+// Area of a [west, south, east, north] box; also used for the tiles of an exhaustive search
+export const boundingBoxArea = (bbox) => ({ kind: AREA_KINDS.bbox, polygons: [[boxRing(bbox)]], bbox });
+
+const parsePolygon = (value) => {
+    const geojson = typeof value === 'string' ? JSON.parse(value) : value;
+    const polygons = readPolygons(geojson).map((rings) => rings.map(closeRing));
+    const isValid =
+        polygons.length > 0 &&
+        polygons.every((rings) => rings.every((ring) => ring.length >= 4 && ring.every(isPosition)));
+    if (!isValid) throw new Error('"searchPolygon" needs rings of at least three [longitude, latitude] positions');
+    return { kind: AREA_KINDS.polygon, polygons, bbox: envelopeOf(polygons) };
+};
+
+// GeoJSON order, [west, south, east, north], or an object with those keys
+const parseBoundingBox = (value) => {
+    const bbox = Array.isArray(value)
+        ? value.map(Number)
+        : ['west', 'south', 'east', 'north'].map((key) => Number(value?.[key]));
+    const [west, south, east, north] = bbox;
+    const isValid = bbox.length === 4 && isPosition([west, south]) && isPosition([east, north]);
+    if (!isValid || west >= east || south >= north) {
+        throw new Error('"searchBoundingBox" must be [west, south, east, north] with west < east and south < north');
+    }
+    return boundingBoxArea(bbox);
+};
+
+// Circle outline from destination points at even bearings around the center
+const circleRing = ([lng, lat], miles) => {
+    const angular = miles / EARTH_RADIUS_MILES;
+    const lat1 = (lat * Math.PI) / 180;
+    const lng1 = (lng * Math.PI) / 180;
+    const ring = [];
+    for (let i = 0; i < CIRCLE_POINTS; i += 1) {
+        const bearing = (2 * Math.PI * i) / CIRCLE_POINTS;
+        const lat2 = Math.asin(
+            Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+        );
+        const lng2 =
+            lng1 +
+            Math.atan2(
+                Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+                Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+            );
+        ring.push([(lng2 * 180) / Math.PI, (lat2 * 180) / Math.PI]);
+    }
+    return closeRing(ring);
+};
+
+const parseRadius = (value) => {
+    const center = [Number(value?.longitude), Number(value?.latitude)];
+    const miles = Number(value?.miles);
+    if (!isPosition(center) || !(miles > 0)) {
+        throw new Error('"searchRadius" must be { "latitude", "longitude", "miles" } with miles above 0');
+    }
+    const latSpan = miles / MILES_PER_DEGREE_LAT;
+    const lngSpan = latSpan / Math.cos((center[1] * Math.PI) / 180);
+    return {
+        kind: AREA_KINDS.radius,
+        center,
+        radiusMiles: miles,
+        polygons: [[circleRing(center, miles)]],
+        bbox: [center[0] - lngSpan, center[1] - latSpan, center[0] + lngSpan, center[1] + latSpan],
+    };
+};
+
+/**
+ * Read the custom search area from the input: `searchPolygon` (GeoJSON), `searchBoundingBox`
+ * or `searchRadius`. Returns `{ kind, polygons, bbox, center?, radiusMiles? }`, plain data so it
+ * survives the saved crawl state, or null when none is set. Throws on invalid or conflicting values.
+ */
+export const parseSearchArea = ({ searchPolygon, searchBoundingBox, searchRadius } = {}) => {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    const given = [searchPolygon, searchBoundingBox, searchRadius].filter(isSet);
+    if (!given.length) return null;
+    if (given.length > 1) throw new Error('Use only one of "searchPolygon", "searchBoundingBox" and "searchRadius".');
+
+    if (isSet(searchPolygon)) return parsePolygon(searchPolygon);
+    if (isSet(searchBoundingBox)) return parseBoundingBox(searchBoundingBox);
+    return parseRadius(searchRadius);
+};
+
+// ============================================================================
+// GIS PARAMETERS & LABELS
+// ============================================================================
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * The GIS `poly` parameter: "lng lat" pairs joined by commas, outlining a single closed ring.
+ * Several polygons or an outline with many points are sent as their bounding box instead.
+ */
+export const toGisPolygon = (area) => {
+    const [first] = area.polygons;
+    const ring = area.polygons.length === 1 && first[0].length <= MAX_POLY_POINTS ? first[0] : boxRing(area.bbox);
+    return ring.map(([lng, lat]) => `${round(lng)} ${round(lat)}`).join(',');
+};
+
+export const describeArea = (area) => {
+    const [west, south, east, north] = area.bbox.map(round);
+    if (area.kind === AREA_KINDS.radius) return `${area.radiusMiles} mi around ${area.center[1]},${area.center[0]}`;
+    if (area.kind === AREA_KINDS.bbox) return `box ${south},${west} to ${north},${east}`;
+    const points = area.polygons.reduce((sum, [outer]) => sum + outer.length - 1, 0);
+    const shapes = area.polygons.length > 1 ? `${area.polygons.length} polygons` : 'polygon';
+    return `${shapes} with ${points} points`;
+};
+
+// Stable id of an area, standing in for the Redfin region id in state, snapshots and logs
+export const areaId = (area) =>
+    `area-${createHash('sha1').update(JSON.stringify(area.polygons)).digest('hex').slice(0, 10)}`;
+
+// ============================================================================
+// CLIPPING
+// ============================================================================
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const distanceMiles = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting; a point exactly on an edge may fall either way
+const isInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Whether a point lies in the area's exact shape: inside the circle, the box, or an outer ring
+ * and none of its holes. A point without coordinates cannot be placed and counts as outside.
+ */
+export const isInsideArea = (area, latitude, longitude) => {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return false;
+    const point = [longitude, latitude];
+    if (area.kind === AREA_KINDS.radius) return distanceMiles(area.center, point) <= area.radiusMiles;
+    if (area.kind === AREA_KINDS.bbox) {
+        const [west, south, east, north] = area.bbox;
+        return longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+    }
+    return area.polygons.some(
+        ([outer, ...holes]) => isInRing(point, outer) && !holes.some((hole) => isInRing(point, hole))
+    );
+};
@@ -0,0 +1,147 @@
+// Sale / listing history and tax history parsing for property detail pages
+import { cleanText, parseMoney, toIsoDate } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Newer pages render one div per event, older ones a table inside the history section
+const PRICE_HISTORY_ROWS = [
+    '.PropertyHistoryEventRow',
+    '#property-history-transition-node tr',
+    '.PropertyHistory tr',
+    '.property-history-content-container tr',
+].join(', ');
+
+const TAX_HISTORY_TABLES = ['.TaxHistory table', '#tax-history table', '.tax-history table', 'table.tax-table'];
+
+const DATE_PATTERN = /\b(?:[A-Z][a-z]{2,8}\.? \d{1,2}, \d{4}|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})(?!\d)/;
+const MONEY_PATTERN = /\$\s?\d[\d,]*(?:\.\d+)?\s*[KMB]?/i;
+
+// ============================================================================
+// PRICE HISTORY
+// ============================================================================
+
+// `.text()` glues adjacent elements together ("2023Date"), so join the text nodes with spaces instead
+const spacedText = ($, el) =>
+    cleanText(
+        $(el)
+            .find('*')
+            .addBack()
+            .contents()
+            .filter((_, node) => node.type === 'text')
+            .map((_, node) => $(node).text())
+            .get()
+            .join(' ')
+    );
+
+const splitEventAndSource = (text) => {
+    if (!text) return { event: null, source: null };
+    const sourceMatch = text.match(/source:\s*(.+)$/i);
+    const eventText = sourceMatch ? text.slice(0, sourceMatch.index) : text;
+    return {
+        // "Sold (MLS) (Closed Sale)" -> "Sold"
+        event: cleanText(eventText.replace(/\([^)]*\)/g, '')) || null,
+        source: sourceMatch ? cleanText(sourceMatch[1]) : cleanText(eventText.match(/\(([^)]*)\)/)?.[1]) || null,
+    };
+};
+
+const parsePriceHistoryRow = ($, row) => {
+    const $row = $(row);
+    const text = spacedText($, row);
+    if (!text) return null;
+
+    const dateText =
+        spacedText($, $row.find('.date-col, [class*="date"]').first())?.match(DATE_PATTERN)?.[0] ||
+        text.match(DATE_PATTERN)?.[0];
+    const date = toIsoDate(dateText);
+    if (!date) return null;
+
+    // Work on a copy so stripping the source line leaves the page DOM intact
+    const eventCell = $row.find('.event-col, .description-col, [class*="event"]').first().clone();
+    const explicitSource = spacedText($, eventCell.find('.source-info, .subtext').last());
+    eventCell.find('.source-info, .subtext').remove();
+    const { event, source } = splitEventAndSource(
+        spacedText($, eventCell) || cleanText(text.replace(dateText, '').replace(MONEY_PATTERN, ''))
+    );
+
+    const priceText =
+        spacedText($, $row.find('.price-col, [class*="price"]').first())?.match(MONEY_PATTERN)?.[0] ||
+        text.match(MONEY_PATTERN)?.[0];
+
+    return {
+        date,
+        event,
+        price: priceText ? parseMoney(priceText.replace(/\s/g, '')) : null,
+        source: cleanText(explicitSource?.replace(/^source:\s*/i, '')) || source,
+    };
+};
+
+/**
+ * Parse the "Sale history" section into `{ date, event, price, source }` rows, newest first.
+ * Dates are YYYY-MM-DD and prices are numbers; header and placeholder rows are dropped.
+ */
+export const parsePriceHistory = ($) => {
+    const events = [];
+    const seen = new Set();
+
+    $(PRICE_HISTORY_ROWS).each((_, row) => {
+        const event = parsePriceHistoryRow($, row);
+        if (!event) return;
+        const key = `${event.date}|${event.event}|${event.price}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        events.push(event);
+    });
+
+    return events.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// ============================================================================
+// TAX HISTORY
+// ============================================================================
+
+const findTaxTables = ($) => {
+    const tables = $(TAX_HISTORY_TABLES.join(', '));
+    if (tables.length) return tables;
+    // Fall back to any table whose header mentions both tax and assessment
+    return $('table').filter((_, table) => {
+        const header = cleanText($(table).find('th, thead').text())?.toLowerCase() || '';
+        return header.includes('tax') && header.includes('assess');
+    });
+};
+
+/**
+ * Parse the "Tax history" table into `{ year, taxAmount, assessedValue }` rows, newest first.
+ */
+export const parseTaxHistory = ($) => {
+    const records = new Map();
+
+    findTaxTables($).each((_, table) => {
+        $(table)
+            .find('tr')
+            .each((__, row) => {
+                const cells = $(row)
+                    .find('td')
+                    .toArray()
+                    .map((cell) => cleanText($(cell).text()) || '');
+                if (cells.length < 2) return;
+
+                const year = Number(cells[0].match(/\b(19|20)\d{2}\b/)?.[0]);
+                if (!year || records.has(year)) return;
+
+                const taxText = cells[1].match(MONEY_PATTERN)?.[0];
+                // The assessment cell can show a change percentage before the amount, so take its last figure
+                const assessedMatches = (cells[cells.length - 1] || '').match(new RegExp(MONEY_PATTERN, 'gi'));
+                const assessedText = cells.length > 2 ? assessedMatches?.[assessedMatches.length - 1] : null;
+
+                records.set(year, {
+                    year,
+                    taxAmount: taxText ? parseMoney(taxText.replace(/\s/g, '')) : null,
+                    assessedValue: assessedText ? parseMoney(assessedText.replace(/\s/g, '')) : null,
+                });
+            });
+    });
+
+    return [...records.values()].sort((a, b) => b.year - a.year);
+};
@@ -0,0 +1,309 @@
+// Listing agent, MLS attribution and open-house parsing for property detail pages and search listings
+import { cleanText, toIsoDate } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const AGENT_SECTIONS = [
+    '.agent-info-section',
+    '.listing-agent-section',
+    '.agent-info-container',
+    '[data-rf-test-id="listingAgentInfo"]',
+    '.listingContactSection',
+].join(', ');
+
+const ATTRIBUTION_SECTIONS = [
+    '.listingSourceSection',
+    '.ListingSource',
+    '.listing-source',
+    '[data-rf-test-id="listingSource"]',
+    '.sourceContent',
+].join(', ');
+
+// One element per scheduled open house
+const OPEN_HOUSE_ITEMS = [
+    '.OpenHouseTourList .tour-day',
+    '.open-house-item',
+    '[data-rf-test-id="open-house"]',
+    '.openHouseTimes li',
+].join(', ');
+
+const PHONE_PATTERN = /\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const LICENSE_PATTERN = /\b(?:license|lic\.?|dre)\s*(?:#|no\.?|number)?\s*:?\s*#?\s*([a-z0-9-]*\d[a-z0-9-]*)/i;
+const TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b\.?/gi;
+
+// Redfin shows open-house times in the home's time zone; a state spanning two zones gets the one most
+// of its homes are in
+const STATE_TIME_ZONES = {
+    AL: 'America/Chicago',
+    AK: 'America/Anchorage',
+    AZ: 'America/Phoenix',
+    AR: 'America/Chicago',
+    CA: 'America/Los_Angeles',
+    CO: 'America/Denver',
+    CT: 'America/New_York',
+    DE: 'America/New_York',
+    DC: 'America/New_York',
+    FL: 'America/New_York',
+    GA: 'America/New_York',
+    HI: 'Pacific/Honolulu',
+    ID: 'America/Boise',
+    IL: 'America/Chicago',
+    IN: 'America/Indiana/Indianapolis',
+    IA: 'America/Chicago',
+    KS: 'America/Chicago',
+    KY: 'America/New_York',
+    LA: 'America/Chicago',
+    ME: 'America/New_York',
+    MD: 'America/New_York',
+    MA: 'America/New_York',
+    MI: 'America/Detroit',
+    MN: 'America/Chicago',
+    MS: 'America/Chicago',
+    MO: 'America/Chicago',
+    MT: 'America/Denver',
+    NE: 'America/Chicago',
+    NV: 'America/Los_Angeles',
+    NH: 'America/New_York',
+    NJ: 'America/New_York',
+    NM: 'America/Denver',
+    NY: 'America/New_York',
+    NC: 'America/New_York',
+    ND: 'America/Chicago',
+    OH: 'America/New_York',
+    OK: 'America/Chicago',
+    OR: 'America/Los_Angeles',
+    PA: 'America/New_York',
+    RI: 'America/New_York',
+    SC: 'America/New_York',
+    SD: 'America/Chicago',
+    TN: 'America/Chicago',
+    TX: 'America/Chicago',
+    UT: 'America/Denver',
+    VT: 'America/New_York',
+    VA: 'America/New_York',
+    WA: 'America/Los_Angeles',
+    WV: 'America/New_York',
+    WI: 'America/Chicago',
+    WY: 'America/Denver',
+};
+
+// For a home without a known state: the zone the browser runs in
+const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+// ============================================================================
+// LISTING AGENT
+// ============================================================================
+
+// "Listed by Jane Smith • DRE #01234567 • Compass • (312) 555-0100" -> its pieces
+const splitSegments = (text) =>
+    (text || '')
+        .split(/\s*[•·|]\s*|\n/)
+        .map((segment) => cleanText(segment))
+        .filter(Boolean);
+
+const fromJsonLdAgent = (jsonLdArray) => {
+    const agent = (jsonLdArray || []).find((item) => item?.['@type'] === 'RealEstateAgent');
+    if (!agent) return null;
+    return {
+        name: agent.name || null,
+        brokerage: agent.worksFor?.name || agent.parentOrganization?.name || null,
+        licenseNumber: null,
+        phone: agent.telephone || null,
+        email: agent.email?.replace(/^mailto:/i, '') || null,
+    };
+};
+
+/**
+ * Read the listing agent block: `{ name, brokerage, licenseNumber, phone, email }`, each null when not
+ * shown (most MLSs hide phone and email). Named child elements are used when the page has them,
+ * otherwise the block's "•"-separated line is split up. Returns null when the page has no agent block.
+ */
+export const parseListingAgent = ($, jsonLdArray) => {
+    const section = $(AGENT_SECTIONS).first();
+    const fromJsonLd = fromJsonLdAgent(jsonLdArray);
+    if (!section.length) return fromJsonLd;
+
+    const text = section
+        .find('*')
+        .addBack()
+        .contents()
+        .filter((_, node) => node.type === 'text')
+        .map((_, node) => $(node).text())
+        .get()
+        .join(' • ');
+    const segments = splitSegments(text);
+
+    const phone =
+        cleanText(section.find('a[href^="tel:"]').first().text()) || text.match(PHONE_PATTERN)?.[0] || null;
+    const email =
+        section.find('a[href^="mailto:"]').first().attr('href')?.replace(/^mailto:/i, '') ||
+        text.match(EMAIL_PATTERN)?.[0] ||
+        null;
+    const licenseNumber = text.match(LICENSE_PATTERN)?.[1] || null;
+
+    // What is left once labels, contact details and the license are taken out: the name, then the brokerage
+    const rest = segments
+        .map((segment) => segment.replace(/^(?:listed|listing|presented)\s+by:?\s*/i, ''))
+        .filter(
+            (segment) =>
+                segment &&
+                !PHONE_PATTERN.test(segment) &&
+                !EMAIL_PATTERN.test(segment) &&
+                !LICENSE_PATTERN.test(segment) &&
+                !/^(?:listed|listing|presented)\s+by:?$|^\(?(?:agent|office)\)?$|^contact/i.test(segment)
+        );
+    const name = cleanText(section.find('.agent-basic-details--heading, .agent-name').first().text()) || rest[0];
+    const brokerage =
+        cleanText(section.find('.agent-basic-details--broker, .broker-name, .brokerage').first().text()) ||
+        rest.find((segment) => segment !== name);
+
+    return {
+        name: name || fromJsonLd?.name || null,
+        brokerage: brokerage || fromJsonLd?.brokerage || null,
+        licenseNumber,
+        phone: phone || fromJsonLd?.phone || null,
+        email: email || fromJsonLd?.email || null,
+    };
+};
+
+/**
+ * The MLS source / attribution line, e.g. "Listing provided courtesy of Compass. Source: MRED as distributed
+ * by MLS GRID, MLS#11950000", kept as shown.
+ */
+export const parseMlsAttribution = ($) => cleanText($(ATTRIBUTION_SECTIONS).first().text()) || null;
+
+// ============================================================================
+// OPEN HOUSES
+// ============================================================================
+
+const toClock = ([, hours, minutes = '00', meridiem]) => {
+    const hour = (Number(hours) % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    return `${String(hour).padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * An open-house time as an ISO 8601 timestamp: epoch milliseconds become UTC, ISO strings are kept
+ * with their offset, and calendar labels ("June-08-2024 11:00 AM") become the home's wall-clock time
+ * without an offset, since the home's time zone is not known yet (see `openHousesInUtc`).
+ */
+export const toTimestamp = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? new Date(value).toISOString() : null;
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) return Number.isNaN(Date.parse(text)) ? null : text;
+
+    const time = [...text.matchAll(TIME_PATTERN)][0];
+    const date = toIsoDate(
+        text
+            .replace(TIME_PATTERN, '')
+            .replace(/^([A-Za-z]+)-(\d{1,2})-(\d{4})/, '$1 $2, $3')
+            .trim()
+    );
+    return date && time ? `${date}T${toClock(time)}:00` : null;
+};
+
+// "Sat, Jun 8" has no year: the one that puts it nearest to now, since open houses are scheduled weeks
+// ahead and a page can still show one just past ("Dec 28" read on January 3 is last year's)
+const withYear = (label, now) => {
+    if (/\b\d{4}\b/.test(label)) return label;
+    const year = new Date(now).getFullYear();
+    const distance = (candidate) => Math.abs(Date.parse(toIsoDate(`${label} ${candidate}`)) - now);
+    if (!toIsoDate(`${label} ${year}`)) return label;
+    const nearest = [year - 1, year + 1].reduce(
+        (best, candidate) => (distance(candidate) < distance(best) ? candidate : best),
+        year
+    );
+    return `${label} ${nearest}`;
+};
+
+const parseOpenHouseText = (text, now) => {
+    const dateLabel = text.match(/\b([A-Z][a-z]{2,8})\.?\s+(\d{1,2})(?:,?\s*(\d{4}))?\b/)?.[0];
+    const times = [...text.matchAll(TIME_PATTERN)];
+    if (!dateLabel || !times.length) return null;
+    const date = withYear(dateLabel.replace(/(\d{1,2})\s+(\d{4})$/, '$1, $2'), now);
+    return {
+        start: toTimestamp(`${date} ${times[0][0]}`),
+        end: times[1] ? toTimestamp(`${date} ${times[1][0]}`) : null,
+    };
+};
+
+// How far `timeZone`'s clock is ahead of UTC at `time`, in milliseconds
+const zoneOffset = (time, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        })
+            .formatToParts(time)
+            .map(({ type, value }) => [type, Number(value)])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+};
+
+const toUtc = (timestamp, timeZone) => {
+    if (!timestamp) return null;
+    if (OFFSET_PATTERN.test(timestamp)) {
+        const time = Date.parse(timestamp);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+    const wallClock = Date.parse(`${timestamp}Z`);
+    if (Number.isNaN(wallClock)) return null;
+    // The offset is looked up again at the corrected time, for wall-clock times near a DST change
+    const time = wallClock - zoneOffset(wallClock - zoneOffset(wallClock, timeZone), timeZone);
+    return new Date(time).toISOString();
+};
+
+const uniqueByStart = (openHouses) => {
+    const byStart = new Map();
+    for (const openHouse of openHouses) {
+        if (openHouse?.start && !byStart.has(openHouse.start)) byStart.set(openHouse.start, openHouse);
+    }
+    return [...byStart.values()].sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * Scheduled open houses on a detail page as `{ start, end }` timestamps (see `toTimestamp`), earliest
+ * first: JSON-LD `Event` entries when present, otherwise the open-house list ("Sat, Jun 8 · 11:00 AM - 1:00 PM").
+ */
+export const parseOpenHouses = ($, jsonLdArray, { now = Date.now() } = {}) => {
+    const events = (jsonLdArray || [])
+        .filter((item) => item?.['@type'] === 'Event' && /open\s*house/i.test(item.name || 'open house'))
+        .map((item) => ({ start: toTimestamp(item.startDate), end: toTimestamp(item.endDate) }));
+    if (events.length) return uniqueByStart(events);
+
+    const listed = $(OPEN_HOUSE_ITEMS)
+        .map((_, el) => parseOpenHouseText(cleanText($(el).text()) || '', now))
+        .get();
+    return uniqueByStart(listed);
+};
+
+/**
+ * The next open house carried by a search listing: GIS homes give epoch `openHouseStart` / `openHouseEnd`,
+ * CSV rows "NEXT OPEN HOUSE START TIME" / "END TIME" labels.
+ */
+export const listingOpenHouses = (listing) => {
+    const start = toTimestamp(listing?.openHouseStart);
+    return start ? [{ start, end: toTimestamp(listing.openHouseEnd) }] : [];
+};
+
+/**
+ * Open houses with every time in UTC ("2024-06-08T16:00:00.000Z"), whatever form their source gave:
+ * wall-clock times are read in the time zone of the home's `state` (postal code).
+ */
+export const openHousesInUtc = (openHouses, state) => {
+    const timeZone = STATE_TIME_ZONES[String(state || '').toUpperCase()] || DEFAULT_TIME_ZONE;
+    return uniqueByStart(
+        (openHouses || []).map(({ start, end }) => ({ start: toUtc(start, timeZone), end: toUtc(end, timeZone) }))
+    );
+};
@@ -1,8 +1,69 @@
 // Redfin Property Scraper - Stealthy Playwright + Multi-Method Extraction
 import { Actor, log } from 'apify';
-import { Dataset, PlaywrightCrawler, gotScraping } from 'crawlee';
-import { chromium } from 'playwright';
 import { load as cheerioLoad } from 'cheerio';
+import { Dataset, PlaywrightCrawler } from 'crawlee';
+import { chromium } from 'playwright';
+
+import { classifyResponse, createCircuitBreaker, isBlockClass, RESPONSE_CLASSES } from './blocking.js';
+import { parseRedfinCsv } from './csv.js';
+import { createEstimateFetcher } from './estimates.js';
+import { EXPORT_FORMATS, writeExports } from './exports.js';
+import { deriveFeatures, findFact, parseFacts } from './facts.js';
+import { createFetcher, REQUEST_LABELS } from './fetcher.js';
+import { buildGisFilterParams, buildSearchPageUrl, describeFilters, findFailedFilter, normalizeFilters } from './filters.js';
+import { isInsideArea, parseSearchArea, toGisPolygon } from './geo.js';
+import { parsePriceHistory, parseTaxHistory } from './history.js';
+import {
+    listingOpenHouses,
+    openHousesInUtc,
+    parseListingAgent,
+    parseMlsAttribution,
+    parseOpenHouses,
+} from './listing.js';
+import {
+    createRecordStore,
+    isMissing,
+    mergeFields,
+    PROVENANCE_FIELD,
+    RECORD_RESULTS,
+    sourcedFields,
+    SOURCES,
+} from './merge.js';
+import { CHANGE_TYPES, createMonitor } from './monitor.js';
+import { createPhotoDownloader, parsePhotos } from './photos.js';
+import { createRecorder } from './recorder.js';
+import {
+    buildHomeUrlMatcher,
+    collectPropertyUrls,
+    collectStartUrls,
+    createAreaRegion,
+    createPropertyListRegion,
+    propertyIdFromUrl,
+    regionStateCode,
+    resolveLocation,
+    resolveRegion,
+    sitemapStateCode,
+} from './regions.js';
+import {
+    createMarketReport,
+    MARKET_REPORT_HTML_KEY,
+    MARKET_REPORT_KEY,
+    renderMarketReportHtml,
+} from './report.js';
+import {
+    describeFailures,
+    normalizeStatus,
+    parseListingDate,
+    parseLotSizeSqft,
+    parseMonthlyHoa,
+    PRICE_CURRENCY,
+    toInteger,
+    validateProperty,
+} from './schema.js';
+import { collectSitemapUrls, SITEMAP_PRIORITIES } from './sitemap.js';
+import { createStatePersister, loadCrawlState } from './state.js';
+import { applyTile, createRootTile, describeTile, splitTile, TILING_STRATEGIES } from './tiling.js';
+import { cleanText, matchesLabel, parseMoney, sleep, toIsoDate } from './utils.js';
 
 // ============================================================================
 // CONSTANTS & CONFIGURATION
@@ -10,7 +71,28 @@ import { load as cheerioLoad } from 'cheerio';
 
 const REDFIN_BASE = 'https://www.redfin.com';
 const REDFIN_API_GIS = `${REDFIN_BASE}/stingray/api/gis`;
+const REDFIN_API_CSV = `${REDFIN_BASE}/stingray/api/gis-csv`;
+const REDFIN_AUTOCOMPLETE = `${REDFIN_BASE}/stingray/do/location-autocomplete`;
+const REDFIN_AVM = `${REDFIN_BASE}/stingray/api/home/details/avm`;
+const REDFIN_RENTAL_ESTIMATE = `${REDFIN_BASE}/stingray/api/home/details/rental-estimate`;
 const REDFIN_SITEMAP = `${REDFIN_BASE}/sitemap_homes.xml`;
+const GIS_PAGE_SIZE = 350;
+// How often the browser fallback relaunches on a fresh proxy after a block page
+const MAX_BROWSER_ROTATIONS = 2;
+// How often an API page that is still rate limited after the queue's own retries is requested again
+const MAX_PAGE_RATE_LIMIT_RETRIES = 3;
+// Rows of a region are held until every method has had its turn, so one home found twice becomes one row;
+// past this many the held rows go out early to bound memory, and a later find of one of them is dropped
+const RECORD_BATCH_SIZE = 1000;
+// How long a migrated container waits for the platform to stop it before it stops by itself
+const MIGRATION_WAIT_MS = 5 * 60 * 1000;
+
+// `pageStatus` of detail-only rows: scraped, gone from Redfin (404 / 410), or shown as no longer listed
+const PAGE_STATUSES = {
+    ok: 'ok',
+    notFound: 'notFound',
+    removed: 'removed',
+};
 
 // Stealthy User Agents rotation
 const USER_AGENTS = [
@@ -37,6 +119,9 @@ const STEALTHY_HEADERS = {
     'Cache-Control': 'max-age=0',
 };
 
+// Requests answered with JSON rather than a page
+const API_LABELS = [REQUEST_LABELS.gis, REQUEST_LABELS.autocomplete, REQUEST_LABELS.avm, REQUEST_LABELS.rentalEstimate];
+
 const API_HEADERS = {
     'Accept': 'application/json, text/javascript, */*; q=0.01',
     'Accept-Encoding': 'gzip, deflate, br',
@@ -51,13 +136,6 @@ const API_HEADERS = {
 
 const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const cleanText = (text) => {
-    if (!text) return null;
-    return text.replace(/\s+/g, ' ').trim();
-};
-
 const cleanHtml = (html) => {
     if (!html) return null;
     const $ = cheerioLoad(html);
@@ -82,72 +160,29 @@ const unwrapValue = (value) => {
 };
 
 const extractByLabel = ($, labels) => {
-    const normalized = labels.map((l) => l.toLowerCase());
-
     const dlRows = $('dl').find('dt, dd');
     for (let i = 0; i < dlRows.length; i += 2) {
-        const label = cleanText($(dlRows[i]).text())?.toLowerCase();
-        const value = cleanText($(dlRows[i + 1]).text());
-        if (label && normalized.some((l) => label.includes(l))) return value;
+        if (matchesLabel($(dlRows[i]).text(), labels)) return cleanText($(dlRows[i + 1]).text());
     }
 
     const tableRows = $('tr');
     for (const row of tableRows) {
         const cells = $(row).find('td, th');
         if (cells.length < 2) continue;
-        const label = cleanText($(cells[0]).text())?.toLowerCase();
-        const value = cleanText($(cells[1]).text());
-        if (label && normalized.some((l) => label.includes(l))) return value;
+        if (matchesLabel($(cells[0]).text(), labels)) return cleanText($(cells[1]).text());
     }
 
+    // Only "Label: value" bullets count, matched on the part before the colon
     const listItems = $('li');
     for (const li of listItems) {
         const text = cleanText($(li).text());
-        if (!text) continue;
-        const lower = text.toLowerCase();
-        const match = normalized.find((l) => lower.startsWith(`${l}:`) || lower.includes(`${l} `));
-        if (match) {
-            return cleanText(text.split(':').slice(1).join(':')) || text;
-        }
+        const colon = text?.indexOf(':') ?? -1;
+        if (colon <= 0) continue;
+        if (matchesLabel(text.slice(0, colon), labels)) return cleanText(text.slice(colon + 1)) || null;
     }
     return null;
 };
 
-const extractRegionIdFromUrl = (url) => {
-    try {
-        const match = url.match(/\/city\/(\d+)\//);
-        return match ? match[1] : null;
-    } catch {
-        return null;
-    }
-};
-
-const createLimiter = (maxConcurrency) => {
-    let active = 0;
-    const queue = [];
-    const next = () => {
-        if (active >= maxConcurrency || queue.length === 0) return;
-        active += 1;
-        const { task, resolve, reject } = queue.shift();
-        task()
-            .then((res) => {
-                resolve(res);
-            })
-            .catch((err) => {
-                reject(err);
-            })
-            .finally(() => {
-                active -= 1;
-                next();
-            });
-    };
-    return (task) =>
-        new Promise((resolve, reject) => {
-            queue.push({ task, resolve, reject });
-            next();
-        });
-};
-
 // ============================================================================
 // PLAYWRIGHT BROWSER SETUP - STEALTHY MODE
 // ============================================================================
@@ -191,107 +226,62 @@ const createStealthyBrowser = async (proxyConfiguration) => {
 // JSON API METHOD - PRIMARY
 // ============================================================================
 
-const fetchViaJsonAPI = async ({ regionId, page = 1, proxyConfiguration }) => {
+// The JSON and CSV endpoints take the same search parameters; custom areas send their outline instead of a region
+const buildGisUrl = (endpoint, { region, page, filters }) => {
     const params = new URLSearchParams({
         al: 1,
-        market: 'chicago',
-        num_homes: 350,
+        num_homes: GIS_PAGE_SIZE,
         page_number: page,
-        region_id: regionId,
-        region_type: 6,
-        status: 9,
-        uipt: '1,2,3,4,5,6,7,8',
+        ...(region.area
+            ? { poly: toGisPolygon(region.area) }
+            : { region_id: region.regionId, region_type: region.regionType }),
+        ...buildGisFilterParams(filters),
         v: 8,
     });
+    if (region.market) params.set('market', region.market);
+    return `${endpoint}?${params.toString()}`;
+};
 
-    const url = `${REDFIN_API_GIS}?${params.toString()}`;
+// Resolves `{ data, responseClass }`; `data` is null unless the GIS payload was read
+const fetchViaJsonAPI = async ({ region, page = 1, filters, fetchPage }) => {
+    const url = buildGisUrl(REDFIN_API_GIS, { region, page, filters });
 
     try {
-        const res = await gotScraping({
-            url,
-            responseType: 'text',
-            headers: {
-                ...API_HEADERS,
-                'User-Agent': getRandomUserAgent(),
-                'Referer': REDFIN_BASE,
-            },
-            proxyUrl: proxyConfiguration ? await proxyConfiguration.newUrl() : undefined,
-            timeout: { request: 30000 },
-            throwHttpErrors: false,
-            retry: { limit: 2 },
-        });
-
-        if (res.statusCode === 429) {
-            log.warning('⚠️ Rate limited (429). Implementing backoff...');
-            await sleep(5000 + Math.random() * 5000);
-            return null;
-        }
+        const res = await fetchPage({ url, label: REQUEST_LABELS.gis });
 
-        if (res.statusCode !== 200) {
-            log.warning(`❌ API Error ${res.statusCode}: ${res.body?.substring(0, 200)}`);
-            return null;
+        if (res.responseClass !== RESPONSE_CLASSES.ok) {
+            log.warning(
+                `❌ API Error (${res.responseClass}) ${res.statusCode ?? res.error}: ${res.body?.substring(0, 200) || ''}`
+            );
+            return { data: null, responseClass: res.responseClass };
         }
 
         const cleanJson = res.body.replace(/^{}&&/, '').trim();
-        return JSON.parse(cleanJson);
+        return { data: JSON.parse(cleanJson), responseClass: res.responseClass };
     } catch (err) {
+        // The body passed as GIS but did not parse: the payload format has changed
         log.warning(`⚠️ JSON API Error: ${err.message}`);
-        return null;
+        return { data: null, responseClass: RESPONSE_CLASSES.unknownLayout };
     }
 };
 
 // ============================================================================
-// PLAYWRIGHT METHOD - STEALTHY BROWSER AUTOMATION
+// CSV DOWNLOAD METHOD - BULK LISTINGS / JSON FALLBACK
 // ============================================================================
 
-const fetchViaPlaywright = async ({ url, proxyConfiguration, collectDetails = false }) => {
-    let browser = null;
-    let context = null;
-    let page = null;
+// Resolves `{ homes, responseClass }`; `homes` is null unless the download parsed as a Redfin export
+const fetchViaCsv = async ({ region, page = 1, filters, fetchPage }) => {
+    const url = buildGisUrl(REDFIN_API_CSV, { region, page, filters });
+    const res = await fetchPage({ url, label: REQUEST_LABELS.csv });
 
-    try {
-        browser = await createStealthyBrowser(proxyConfiguration);
-        context = await browser.newContext({
-            userAgent: getRandomUserAgent(),
-            viewport: { width: 1920, height: 1080 },
-            ignoreHTTPSErrors: true,
-            extraHTTPHeaders: STEALTHY_HEADERS,
-            timezoneId: 'America/Chicago',
-            locale: 'en-US',
-        });
-
-        // Add stealth scripts
-        await context.addInitScript(() => {
-            Object.defineProperty(navigator, 'webdriver', {
-                get: () => false,
-            });
-            Object.defineProperty(navigator, 'plugins', {
-                get: () => [1, 2, 3, 4, 5],
-            });
-        });
-
-        page = await context.newPage();
-        page.setDefaultTimeout(30000);
-        page.setDefaultNavigationTimeout(30000);
-
-        log.info(`🌐 Loading page: ${url}`);
-        await page.goto(url, { waitUntil: 'networkidle' });
-
-        // Wait for content to load
-        await page.waitForTimeout(2000);
-
-        const content = await page.content();
-        const { properties, jsonLd } = await extractFromPageContent(content);
-
-        return { properties, jsonLd, source: 'playwright' };
-    } catch (err) {
-        log.warning(`⚠️ Playwright Error: ${err.message}`);
-        return null;
-    } finally {
-        if (page) await page.close().catch(() => {});
-        if (context) await context.close().catch(() => {});
-        if (browser) await browser.close().catch(() => {});
+    if (res.responseClass !== RESPONSE_CLASSES.ok) {
+        log.warning(`❌ CSV download error (${res.responseClass}) ${res.statusCode ?? res.error}`);
+        return { homes: null, responseClass: res.responseClass };
     }
+
+    const homes = parseRedfinCsv(res.body);
+    if (!homes) log.warning('❌ CSV download has no recognizable header row');
+    return { homes, responseClass: homes ? res.responseClass : RESPONSE_CLASSES.unknownLayout };
 };
 
 // ============================================================================
@@ -363,6 +353,7 @@ const extractFromPageContent = async (html) => {
             url: $el.find('a').attr('href'),
             address: $el.find('[data-address]').text().trim() || null,
             price: $el.find('[data-price]').text().trim() || null,
+            fromSearchPage: true,
         };
 
         if (prop.propertyId || prop.url) {
@@ -373,72 +364,287 @@ const extractFromPageContent = async (html) => {
     return { properties, jsonLd: propertyData };
 };
 
+// What the page says, split by where it says it: `jsonLd` from its structured data, `html` from labelled
+// page elements and sections. `buildProperty` merges them with the search listing by source priority.
 const parseHtmlDetail = async (html) => {
     const $ = cheerioLoad(html);
     const jsonLdArray = extractJsonLd(html);
-    const propertyData = parsePropertyFromJsonLd(jsonLdArray) || {};
+
+    const facts = parseFacts($);
+    // The facts area first, then any other labelled row on the page
+    const labelled = (labels) => findFact(facts, labels) || extractByLabel($, labels);
 
     const metaDescription = $('meta[name="description"]').attr('content');
-    const listingDateLabel = extractByLabel($, ['listed on', 'time on redfin', 'listed']);
-    const lotSizeLabel = extractByLabel($, ['lot size', 'lot sqft']);
-    const statusLabel = extractByLabel($, ['status']);
-    const sqftLabel = extractByLabel($, ['square feet', 'sq ft', 'sqft']);
+    const statusLabel = labelled(['status', 'listing status', 'mls status']);
+    const soldBanner = cleanText($('[data-rf-test-id="abp-status"], .ListingStatusBannerSection').first().text());
+    // Sale fields are only trusted on pages that present the home as sold; history rows mention "sold" too
+    const isSold = /\bsold\b/i.test(soldBanner || '') || /\bsold\b/i.test(statusLabel || '');
 
     return {
-        title: propertyData.title || cleanText($('h1').first().text()) || null,
-        price: propertyData.price || cleanText($('.price-info, [data-rf-test-id="abp-price"], .statsValue').first().text()) || null,
-        beds: propertyData.beds || cleanText($('[data-beds], [data-rf-test-id="abp-beds"]').first().text()) || null,
-        baths: propertyData.baths || cleanText($('[data-baths], [data-rf-test-id="abp-baths"]').first().text()) || null,
-        sqft: propertyData.sqft || sqftLabel || cleanText($('[data-sqft], [data-rf-test-id="abp-sqft"]').first().text()) || null,
-        address: propertyData.address || cleanText($('.address, [data-rf-test-id="abp-streetLine"]').first().text()) || null,
-        city: propertyData.city || null,
-        state: propertyData.state || null,
-        zip: propertyData.zip || null,
-        description:
-            propertyData.description ||
-            cleanText(metaDescription) ||
-            cleanText($('.property-description, .remarks, [data-rf-test-id="abp-description"]').text()) ||
-            null,
-        latitude: propertyData.latitude || null,
-        longitude: propertyData.longitude || null,
-        lotSize: propertyData.lotSize || lotSizeLabel || null,
-        yearBuilt: propertyData.yearBuilt || extractByLabel($, ['year built']) || null,
-        hoa: propertyData.hoa || extractByLabel($, ['hoa dues', 'hoa fee']) || null,
-        status: propertyData.status || statusLabel || cleanText($('[data-rf-test-id="abp-status"]').first().text()) || null,
-        listingDate: propertyData.listingDate || listingDateLabel || null,
-        mlsNumber: propertyData.mlsNumber || extractByLabel($, ['mls#', 'mls number']) || null,
+        jsonLd: parsePropertyFromJsonLd(jsonLdArray) || {},
+        html: {
+            price: cleanText($('.price-info, [data-rf-test-id="abp-price"], .statsValue').first().text()) || null,
+            beds: cleanText($('[data-beds], [data-rf-test-id="abp-beds"]').first().text()) || null,
+            baths: cleanText($('[data-baths], [data-rf-test-id="abp-baths"]').first().text()) || null,
+            sqft:
+                labelled(['square feet', 'sq ft', 'sq. ft.', 'sqft', 'total square feet', 'finished sq. ft.']) ||
+                cleanText($('[data-sqft], [data-rf-test-id="abp-sqft"]').first().text()) ||
+                null,
+            address: cleanText($('.address, [data-rf-test-id="abp-streetLine"]').first().text()) || null,
+            description:
+                cleanText(metaDescription) ||
+                cleanText($('.property-description, .remarks, [data-rf-test-id="abp-description"]').text()) ||
+                null,
+            lotSize: labelled(['lot size', 'lot sqft', 'lot size sq. ft.']),
+            yearBuilt: labelled(['year built']),
+            hoa: labelled(['hoa dues', 'hoa fee', 'hoa fees']),
+            status: statusLabel || cleanText($('[data-rf-test-id="abp-status"]').first().text()) || null,
+            listingDate: labelled(['listed on', 'list date', 'time on redfin']),
+            mlsNumber: labelled(['mls#', 'mls #', 'mls number']),
+            soldDate: isSold
+                ? labelled(['sold on', 'sold date', 'date sold']) ||
+                  soldBanner?.replace(/^.*?\bsold\s+(on\s+)?/i, '') ||
+                  null
+                : null,
+            soldPrice: isSold ? labelled(['sold for', 'sale price', 'sold price']) : null,
+            lastListPrice: isSold ? labelled(['last list price', 'original list price', 'list price']) : null,
+            priceHistory: parsePriceHistory($),
+            taxHistory: parseTaxHistory($),
+            listingAgent: parseListingAgent($, jsonLdArray),
+            mlsAttribution: parseMlsAttribution($),
+            openHouses: parseOpenHouses($, jsonLdArray),
+            photos: parsePhotos($, jsonLdArray),
+            facts,
+            features: facts ? deriveFeatures(facts) : null,
+        },
     };
 };
 
 // ============================================================================
-// SITEMAP PARSING METHOD
+// PLAYWRIGHT METHOD - STEALTHY BROWSER AUTOMATION
 // ============================================================================
 
-const fetchSitemapUrls = async ({ regionId, limit = 100, proxyConfiguration }) => {
+// Redfin paginates search pages as `/page-N` after the region (and filter) path
+const buildResultsPageUrl = (url, page) => (page <= 1 ? url : `${url.replace(/\/+$/, '')}/page-${page}`);
+
+const parseGisResponseBody = (text) => {
     try {
-        const sitemapRes = await gotScraping({
-            url: REDFIN_SITEMAP,
-            responseType: 'text',
-            headers: { 'User-Agent': getRandomUserAgent() },
-            proxyUrl: proxyConfiguration ? await proxyConfiguration.newUrl() : undefined,
-            timeout: { request: 30000 },
-            throwHttpErrors: false,
+        return JSON.parse(text.replace(/^{}&&/, '').trim());
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Browser fallback: walks the result pages up to `maxPages`, capturing the page's own
+ * stingray/GIS XHR responses for full listing JSON (DOM cards fill in when no XHR fired).
+ * Each listing accepted by `shouldCollect` is handed to `onProperty` together with its detail
+ * page, loaded in the same browser context when `collectDetails` is on. `onProperty` returns
+ * false to stop early. With a `recorder`, pages are saved as they load or, when replaying,
+ * served from the recordings without launching a browser.
+ */
+const fetchViaPlaywright = async ({
+    url,
+    proxyConfiguration,
+    collectDetails = false,
+    maxPages = 1,
+    circuitBreaker,
+    recorder,
+    shouldCollect = () => true,
+    onProperty,
+}) => {
+    let browser = null;
+    let context = null;
+    let page = null;
+    let detailPage = null;
+    let rotations = 0;
+    const result = { listingsFound: 0, detailsLoaded: 0, pagesVisited: 0, source: 'playwright' };
+
+    // Listings keyed by id, filled from intercepted GIS responses of every visited page
+    const listings = new Map();
+    const captured = [];
+
+    const closeBrowser = async () => {
+        if (detailPage) await detailPage.close().catch(() => {});
+        if (page) await page.close().catch(() => {});
+        if (context) await context.close().catch(() => {});
+        if (browser) await browser.close().catch(() => {});
+        detailPage = null;
+        page = null;
+        context = null;
+        browser = null;
+    };
+
+    const addGisHomes = (text) => {
+        for (const home of parseGisResponseBody(text)?.payload?.homes || []) {
+            const id = home.propertyId || home.mlsId?.value || home.url;
+            if (id && !listings.has(id)) listings.set(id, home);
+        }
+    };
+
+    // Each launch takes a new proxy URL and user agent, which is how a blocked browser rotates.
+    // Replayed runs never start a browser.
+    const openBrowser = async () => {
+        if (recorder?.isReplaying) return;
+        browser = await createStealthyBrowser(proxyConfiguration);
+        context = await browser.newContext({
+            userAgent: getRandomUserAgent(),
+            viewport: { width: 1920, height: 1080 },
+            ignoreHTTPSErrors: true,
+            extraHTTPHeaders: STEALTHY_HEADERS,
+            timezoneId: 'America/Chicago',
+            locale: 'en-US',
         });
 
-        if (sitemapRes.statusCode !== 200) return [];
+        // Add stealth scripts
+        await context.addInitScript(() => {
+            Object.defineProperty(navigator, 'webdriver', {
+                get: () => false,
+            });
+            Object.defineProperty(navigator, 'plugins', {
+                get: () => [1, 2, 3, 4, 5],
+            });
+        });
 
-        const $ = cheerioLoad(sitemapRes.body);
-        const urls = [];
+        page = await context.newPage();
+        page.setDefaultTimeout(30000);
+        page.setDefaultNavigationTimeout(30000);
 
-        $('loc').each((_, el) => {
-            const url = $(el).text().trim();
-            if (url.includes('/home/') && urls.length < limit) {
-                urls.push(url);
-            }
+        page.on('response', (response) => {
+            if (!/\/stingray\/api\/gis(\?|$)/.test(response.url()) || response.status() !== 200) return;
+            captured.push(response.text().catch(() => null));
         });
+    };
+
+    // A search page is saved together with the GIS responses it fired, so a replay sees the same listings
+    const browse = async (target, pageUrl, label) => {
+        const waitUntil = label === REQUEST_LABELS.search ? 'networkidle' : 'domcontentloaded';
+        const response = await target.goto(pageUrl, { waitUntil });
+        if (label === REQUEST_LABELS.search) await target.waitForTimeout(2000);
+        const captures =
+            label === REQUEST_LABELS.search ? (await Promise.all(captured.splice(0))).filter(Boolean) : [];
+        const statusCode = response?.status() ?? 200;
+        const loaded = { url: pageUrl, label, statusCode, body: await target.content(), captures };
+        if (recorder?.isRecording) await recorder.save(loaded);
+        return loaded;
+    };
+
+    // Load a page and classify what came back; the breaker sees browser answers as well
+    const loadPage = async (target, pageUrl, label) => {
+        const loaded = recorder?.isReplaying
+            ? await recorder.load({ url: pageUrl, label })
+            : await browse(target, pageUrl, label);
+        if (!loaded) return { html: null, responseClass: RESPONSE_CLASSES.error };
+        for (const text of loaded.captures || []) addGisHomes(text);
+        const responseClass = classifyResponse({ statusCode: loaded.statusCode, body: loaded.body, label });
+        circuitBreaker?.record(responseClass);
+        return { html: loaded.body, responseClass };
+    };
+
+    try {
+        await openBrowser();
+
+        for (let pageNumber = 1; pageNumber <= maxPages; pageNumber += 1) {
+            const before = listings.size;
+            const pageUrl = buildResultsPageUrl(url, pageNumber);
+            log.info(`🌐 Loading page: ${pageUrl}`);
+            const { html, responseClass } = await loadPage(page, pageUrl, REQUEST_LABELS.search);
+            if (html === null) break;
+
+            if (isBlockClass(responseClass)) {
+                if (rotations >= MAX_BROWSER_ROTATIONS || circuitBreaker?.isOpen()) {
+                    log.warning(`🚫 Browser ${responseClass} on ${pageUrl}, giving up on the browser method`);
+                    break;
+                }
+                rotations += 1;
+                log.warning(`🚫 Browser ${responseClass} on ${pageUrl}, relaunching with a fresh proxy and user agent`);
+                await closeBrowser();
+                await openBrowser();
+                pageNumber -= 1;
+                continue;
+            }
+            result.pagesVisited += 1;
+
+            const { properties } = await extractFromPageContent(html);
+            for (const card of properties) {
+                const id = card.propertyId || card.url;
+                if (id && !listings.has(id) && ![...listings.values()].some((l) => l.url === card.url)) {
+                    listings.set(id, card);
+                }
+            }
+
+            log.info(`✅ Browser page ${pageNumber}: ${listings.size - before} new listings`);
+            if (listings.size === before) break;
+        }
+
+        result.listingsFound = listings.size;
+
+        for (const listing of listings.values()) {
+            if (!shouldCollect(listing)) continue;
+
+            let detail = null;
+            if (collectDetails && listing.url && !circuitBreaker?.isOpen()) {
+                try {
+                    if (context) detailPage = detailPage || (await context.newPage());
+                    const { html, responseClass } = await loadPage(
+                        detailPage,
+                        ensureAbsoluteUrl(listing.url),
+                        REQUEST_LABELS.detail
+                    );
+                    if (responseClass === RESPONSE_CLASSES.ok) {
+                        detail = await parseHtmlDetail(html);
+                        result.detailsLoaded += 1;
+                    } else {
+                        log.debug(`🚫 Browser detail page ${listing.url} classified as ${responseClass}, skipping details`);
+                    }
+                } catch (err) {
+                    log.warning(`⚠️ Playwright detail error for ${listing.url}: ${err.message}`);
+                }
+            }
+
+            if ((await onProperty({ listing, detail })) === false) break;
+        }
+
+        return result;
+    } catch (err) {
+        log.warning(`⚠️ Playwright Error: ${err.message}`);
+        return null;
+    } finally {
+        await closeBrowser();
+    }
+};
+
+// ============================================================================
+// SITEMAP PARSING METHOD
+// ============================================================================
+
+// Home URLs from the sitemaps (following index files), narrowed to the region's state / city / zip path segments
+const fetchSitemapUrls = async ({ region, limit = 100, fetchPage, updatedSince }) => {
+    const matchesUrl = buildHomeUrlMatcher(region);
+    if (!matchesUrl) {
+        log.warning(
+            `⚠️ Cannot tell which sitemap home URLs belong to ${region.url || region.name}, skipping the sitemap method`
+        );
+        return [];
+    }
+
+    // Sitemaps named for the region's state go first, those named for another state are left out
+    const stateCode = regionStateCode(region);
+    const prioritize = (sitemapUrl) => {
+        const sitemapState = sitemapStateCode(sitemapUrl);
+        if (!stateCode || !sitemapState) return SITEMAP_PRIORITIES.normal;
+        return sitemapState === stateCode ? SITEMAP_PRIORITIES.first : SITEMAP_PRIORITIES.skip;
+    };
 
-        log.info(`📍 Found ${urls.length} property URLs from sitemap`);
-        return urls;
+    try {
+        return await collectSitemapUrls({
+            startUrl: REDFIN_SITEMAP,
+            fetchSitemap: (url) => fetchPage({ url, label: REQUEST_LABELS.sitemap }),
+            matchesUrl,
+            prioritize,
+            limit,
+            updatedSince,
+        });
     } catch (err) {
         log.warning(`⚠️ Sitemap fetch error: ${err.message}`);
         return [];
@@ -449,62 +655,203 @@ const fetchSitemapUrls = async ({ regionId, limit = 100, proxyConfiguration }) =
 // PROPERTY BUILDER
 // ============================================================================
 
-const buildProperty = ({ listing, detail, source }) => {
-    const propertyId = listing?.propertyId || listing?.mlsId?.value || detail?.id;
-    const url = ensureAbsoluteUrl(listing?.url || detail?.url || (propertyId ? `${REDFIN_BASE}/home/${propertyId}` : null));
-
-    const price = unwrapValue(detail?.price ?? listing?.price ?? listing?.priceInfo?.amount);
-    const beds = unwrapValue(detail?.beds ?? listing?.beds);
-    const baths = unwrapValue(detail?.baths ?? listing?.baths);
-    const sqft = unwrapValue(detail?.sqft ?? listing?.sqFt);
-    const address = detail?.address || listing?.streetLine?.value || listing?.address;
-    const city = detail?.city || listing?.city;
-    const state = detail?.state || listing?.state;
-    const zip = detail?.zip || listing?.zip;
-
-    const fullAddress =
-        address && city && state ? `${address}, ${city}, ${state}${zip ? ` ${zip}` : ''}` : address || null;
+// "3 beds" -> 3, "1,850 sq ft" -> 1850
+const toCount = (value) =>
+    value === null || value === undefined ? null : parseInt(String(value).replace(/[^\d]/g, ''), 10) || null;
+const toBaths = (value) =>
+    value === null || value === undefined ? null : parseFloat(String(value).replace(/[^\d.]/g, '')) || null;
+
+// What a search listing says, typed like the output
+const listingFields = (listing) => {
+    if (!listing) return {};
+    const price = parseMoney(unwrapValue(listing.price ?? listing.priceInfo?.amount));
+    const latLong = unwrapValue(listing.latLong);
+    const soldDate = toIsoDate(unwrapValue(listing.soldDate));
+    return {
+        streetAddress: listing.streetLine?.value || listing.address,
+        city: listing.city,
+        state: listing.state,
+        zip: listing.zip,
+        price,
+        beds: toCount(unwrapValue(listing.beds)),
+        baths: toBaths(unwrapValue(listing.baths)),
+        sqft: toCount(unwrapValue(listing.sqFt)),
+        propertyType: listing.propertyType,
+        statusText: listing.status || unwrapValue(listing.mlsStatus),
+        listingDate: parseListingDate(listing.listingDate),
+        daysOnMarket: toInteger(unwrapValue(listing.dom)),
+        pricePerSqft: parseMoney(unwrapValue(listing.pricePerSqFt)),
+        saleType: listing.saleType,
+        description: unwrapValue(listing.listingRemarks),
+        latitude: parseMoney(latLong?.latitude ?? unwrapValue(listing.lat)),
+        longitude: parseMoney(latLong?.longitude ?? unwrapValue(listing.lng)),
+        mlsNumber: listing.mlsNumber || listing.mlsId?.value,
+        lotSizeSqft: parseLotSizeSqft(unwrapValue(listing.lotSize)),
+        yearBuilt: toInteger(unwrapValue(listing.yearBuilt)),
+        hoa: parseMonthlyHoa(unwrapValue(listing.hoa) || unwrapValue(listing.hoaFee)),
+        // In sold searches the GIS `price` is the closing price and `soldDate` is set
+        soldDate,
+        soldPrice: soldDate ? price : null,
+        lastListPrice: soldDate ? parseMoney(unwrapValue(listing.listingPrice ?? listing.listPrice)) : null,
+        mlsAttribution: listing.mlsSource,
+        openHouses: listingOpenHouses(listing),
+    };
+};
 
+// What one part of a detail page (its JSON-LD or its labelled HTML) says, typed like the output
+const pageFields = (page) => {
+    if (!page) return {};
     return {
+        streetAddress: page.address,
+        city: page.city,
+        state: page.state,
+        zip: page.zip,
+        price: parseMoney(unwrapValue(page.price)),
+        beds: toCount(page.beds),
+        baths: toBaths(page.baths),
+        sqft: toCount(page.sqft),
+        statusText: page.status,
+        listingDate: parseListingDate(page.listingDate),
+        description: page.description,
+        latitude: parseMoney(unwrapValue(page.latitude)),
+        longitude: parseMoney(unwrapValue(page.longitude)),
+        mlsNumber: page.mlsNumber,
+        lotSizeSqft: parseLotSizeSqft(page.lotSize),
+        yearBuilt: toInteger(unwrapValue(page.yearBuilt)),
+        hoa: parseMonthlyHoa(unwrapValue(page.hoa)),
+        soldDate: toIsoDate(page.soldDate),
+        soldPrice: parseMoney(page.soldPrice),
+        lastListPrice: parseMoney(page.lastListPrice),
+        priceHistory: page.priceHistory,
+        taxHistory: page.taxHistory,
+        listingAgent: page.listingAgent,
+        mlsAttribution: page.mlsAttribution,
+        openHouses: page.openHouses,
+        photos: page.photos,
+        facts: page.facts,
+        features: page.features,
+    };
+};
+
+/**
+ * The output record from merged fields (see `mergeFields`): what no source supplied is worked out from
+ * the rest where it can be, and `_provenance` names the source of every field that has a value.
+ */
+const finishProperty = ({ fields, provenance }, { propertyId, url, source, fetchedAt }) => {
+    const derivedFields = [];
+    const orDerived = (field, derive) => {
+        if (!isMissing(fields[field])) return fields[field];
+        const value = derive() ?? null;
+        if (value !== null) derivedFields.push(field);
+        return value;
+    };
+    const get = (field) => fields[field] ?? null;
+
+    const streetAddress = get('streetAddress');
+    const city = get('city');
+    const state = get('state');
+    const zip = get('zip');
+    const price = get('price');
+    const sqft = get('sqft');
+    const daysOnMarket = get('daysOnMarket');
+    const statusText = get('statusText');
+    // Sale fields only belong to a sold home
+    const soldDate = get('soldDate');
+    const soldPrice = soldDate ? get('soldPrice') : null;
+    const lastListPrice = soldDate ? get('lastListPrice') : null;
+
+    const property = {
         propertyId: propertyId || url,
         url,
-        address: fullAddress,
-        streetAddress: address,
+        address:
+            streetAddress && city && state
+                ? `${streetAddress}, ${city}, ${state}${zip ? ` ${zip}` : ''}`
+                : streetAddress,
+        streetAddress,
         city,
         state,
         zip,
-        price: price ? (typeof price === 'number' ? `$${price.toLocaleString()}` : String(price)) : null,
-        beds: beds !== null && beds !== undefined ? parseInt(String(beds).replace(/[^\d]/g, ''), 10) || null : null,
-        baths: baths !== null && baths !== undefined ? parseFloat(String(baths).replace(/[^\d.]/g, '')) || null : null,
-        sqft: sqft !== null && sqft !== undefined ? parseInt(String(sqft).replace(/[^\d]/g, ''), 10) || null : null,
-        propertyType: listing?.propertyType || detail?.propertyType || null,
-        status: detail?.status || listing?.status || unwrapValue(listing?.mlsStatus) || null,
-        listingDate:
-            detail?.listingDate ||
-            listing?.listingDate ||
-            (unwrapValue(listing?.dom)
-                ? new Date(Date.now() - Number(unwrapValue(listing.dom)) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
-                : null),
-        description: detail?.description || unwrapValue(listing?.listingRemarks) || null,
-        latitude:
-            unwrapValue(detail?.latitude) ||
-            unwrapValue(listing?.latLong)?.latitude ||
-            unwrapValue(listing?.lat) ||
-            null,
-        longitude:
-            unwrapValue(detail?.longitude) ||
-            unwrapValue(listing?.latLong)?.longitude ||
-            unwrapValue(listing?.lng) ||
-            null,
-        mlsNumber: detail?.mlsNumber || listing?.mlsNumber || listing?.mlsId?.value || null,
-        lotSize: detail?.lotSize || unwrapValue(listing?.lotSize) || null,
-        yearBuilt: unwrapValue(detail?.yearBuilt) || unwrapValue(listing?.yearBuilt) || null,
-        hoa: unwrapValue(detail?.hoa) || unwrapValue(listing?.hoa) || unwrapValue(listing?.hoaFee) || null,
+        price,
+        priceCurrency: PRICE_CURRENCY,
+        beds: get('beds'),
+        baths: get('baths'),
+        sqft,
+        propertyType: get('propertyType'),
+        status: normalizeStatus(statusText, { soldDate }),
+        statusText: statusText === null ? null : String(statusText),
+        listingDate: orDerived('listingDate', () => parseListingDate(null, { daysOnMarket })),
+        daysOnMarket,
+        pricePerSqft: orDerived('pricePerSqft', () => (price && sqft ? Math.round(price / sqft) : null)),
+        saleType: get('saleType'),
+        description: get('description'),
+        latitude: get('latitude'),
+        longitude: get('longitude'),
+        mlsNumber: get('mlsNumber'),
+        lotSizeSqft: get('lotSizeSqft'),
+        yearBuilt: get('yearBuilt'),
+        hoa: get('hoa'),
+        soldPrice,
+        soldDate,
+        lastListPrice,
+        listToSaleRatio: soldPrice && lastListPrice ? Math.round((soldPrice / lastListPrice) * 1000) / 1000 : null,
+        priceHistory: get('priceHistory'),
+        taxHistory: get('taxHistory'),
+        listingAgent: get('listingAgent'),
+        mlsAttribution: get('mlsAttribution'),
+        openHouses: openHousesInUtc(get('openHouses'), state),
+        photos: get('photos')?.length ? fields.photos : null,
+        facts: get('facts'),
+        features: get('features'),
         source,
-        fetched_at: new Date().toISOString(),
+        fetched_at: fetchedAt,
     };
+
+    // The full address and the normalized status come from the fields they are made of
+    const sourceOf = {
+        ...provenance,
+        address: provenance.streetAddress,
+        status: provenance.statusText ?? SOURCES.derived,
+        listToSaleRatio: SOURCES.derived,
+        ...Object.fromEntries(derivedFields.map((field) => [field, SOURCES.derived])),
+    };
+    property[PROVENANCE_FIELD] = Object.fromEntries(
+        Object.keys(property)
+            .filter((field) => sourceOf[field] && !isMissing(property[field]))
+            .map((field) => [field, sourceOf[field]])
+    );
+    return property;
+};
+
+const buildProperty = ({ listing, detail, source }) => {
+    const propertyId = listing?.propertyId || listing?.mlsId?.value;
+    const url = ensureAbsoluteUrl(listing?.url || (propertyId ? `${REDFIN_BASE}/home/${propertyId}` : null));
+    const merged = mergeFields([
+        // Property cards scraped off a search page are page text, not API JSON
+        { source: listing?.fromSearchPage ? SOURCES.html : SOURCES.api, fields: listingFields(listing) },
+        { source: SOURCES.jsonLd, fields: pageFields(detail?.jsonLd) },
+        { source: SOURCES.html, fields: pageFields(detail?.html) },
+    ]);
+    return finishProperty(merged, { propertyId, url, source, fetchedAt: new Date().toISOString() });
 };
 
+/**
+ * Merge the record of a home that another method collected into the one held for it, field by field;
+ * the record held first keeps its id, URL and source.
+ */
+const mergeProperties = (held, incoming) => {
+    const merged = mergeFields([sourcedFields(held), sourcedFields(incoming)]);
+    const property = finishProperty(merged, {
+        propertyId: /^\d+$/.test(String(held.propertyId)) ? held.propertyId : incoming.propertyId,
+        url: held.url,
+        source: held.source,
+        fetchedAt: held.fetched_at,
+    });
+    return { ...held, ...property };
+};
+
+// Rows name the start URL they came from, or the custom search area
+const regionFields = (region) => (region.area ? { startUrl: null, searchArea: region.name } : { startUrl: region.url });
+
 // ============================================================================
 // MAIN ACTOR LOGIC
 // ============================================================================
@@ -514,259 +861,918 @@ await Actor.init();
 try {
     const input = (await Actor.getInput()) || {};
     const {
+        startUrls,
+        propertyUrls: propertyUrlsRaw,
+        locations: locationsRaw,
         startUrl = 'https://www.redfin.com/city/29470/IL/Chicago',
         cityUrl,
         regionId: inputRegionId,
+        regionType: inputRegionType,
         collectDetails = true,
+        listingSource = 'json',
+        exhaustiveMode = false,
+        tilingStrategy = TILING_STRATEGIES.price,
         results_wanted: resultsWantedRaw = 50,
         max_pages: maxPagesRaw = 3,
         maxConcurrency = 3,
+        maxRequestsPerMinute = 120,
+        maxRequestRetries = 3,
+        failedRequestsDatasetName = 'redfin-failed-requests',
+        invalidRecordsDatasetName = 'redfin-invalid-records',
+        maxConsecutiveBlocks = 5,
+        blockCooldownSeconds = 60,
+        monitorMode = false,
+        monitorStoreName = 'redfin-monitor',
+        marketReportHtml = false,
+        exportFormats: exportFormatsRaw = [],
+        downloadPhotos = false,
+        maxPhotosPerListing = 10,
+        photoDownloadConcurrency = 3,
+        photoStoreName,
+        collectEstimates = false,
+        maxRuntimeSeconds = 210,
+        sitemapUpdatedSince: sitemapUpdatedSinceRaw,
+        recordingMode = 'off',
+        recordingStoreName = 'redfin-recordings',
+        recordingDirectory,
         proxyConfiguration,
     } = input;
 
-    const resultsWanted = Math.max(1, Number.isFinite(+resultsWantedRaw) ? +resultsWantedRaw : 1);
+    const filters = normalizeFilters(input);
+    const searchArea = parseSearchArea(input);
+
+    // Exhaustive mode is for covering a whole region, so the tiling rather than a quota decides when it stops
+    const resultsWanted = exhaustiveMode
+        ? Infinity
+        : Math.max(1, Number.isFinite(+resultsWantedRaw) ? +resultsWantedRaw : 1);
     const maxPages = Math.max(1, Number.isFinite(+maxPagesRaw) ? +maxPagesRaw : 1);
+    // 0 disables the budget; the run then continues until every region is done, across restarts
+    const maxRuntimeMs = Math.max(0, Number.isFinite(+maxRuntimeSeconds) ? +maxRuntimeSeconds : 0) * 1000;
+    const sitemapUpdatedSince = sitemapUpdatedSinceRaw ? new Date(sitemapUpdatedSinceRaw) : null;
+    if (sitemapUpdatedSince && Number.isNaN(sitemapUpdatedSince.getTime())) {
+        throw new Error(`Invalid "sitemapUpdatedSince" date: ${sitemapUpdatedSinceRaw}. Use YYYY-MM-DD.`);
+    }
+    const exportFormats = [...new Set(Array.isArray(exportFormatsRaw) ? exportFormatsRaw : [exportFormatsRaw])];
+    const unknownFormat = exportFormats.find((format) => !Object.values(EXPORT_FORMATS).includes(format));
+    if (unknownFormat) {
+        throw new Error(`Invalid export format "${unknownFormat}". Use ${Object.values(EXPORT_FORMATS).join(', ')}.`);
+    }
     const proxyConf = proxyConfiguration ? await Actor.createProxyConfiguration({ ...proxyConfiguration }) : undefined;
 
-    const targetUrl = cityUrl || startUrl;
-    let targetRegionId = inputRegionId || extractRegionIdFromUrl(targetUrl);
+    const regionOverrides = { regionId: inputRegionId, regionType: inputRegionType };
+    const locations = (Array.isArray(locationsRaw) ? locationsRaw : [locationsRaw])
+        .map((location) => (typeof location === 'string' ? location.trim() : ''))
+        .filter(Boolean);
+    // A property list skips the search altogether
+    const propertyList = propertyUrlsRaw ? collectPropertyUrls(propertyUrlsRaw) : { urls: [], invalid: [] };
+    for (const entry of propertyList.invalid) {
+        log.warning(`⚠️ Skipping "${entry}": not a Redfin home URL or property id`);
+    }
+    const detailOnly = propertyList.urls.length > 0;
+    if (propertyList.invalid.length && !detailOnly) {
+        throw new Error('None of the "propertyUrls" is a Redfin home URL or property id.');
+    }
+    const searching = !detailOnly && !searchArea;
+    // A search area replaces the start URLs and locations; locations replace the default start URL
+    const targetUrls = searching
+        ? collectStartUrls({ startUrls, cityUrl, startUrl: locations.length ? undefined : startUrl })
+        : [];
+    const targetLocations = searching ? locations : [];
+    if (!targetUrls.length && !targetLocations.length && !searchArea && !detailOnly) {
+        throw new Error('No start URL provided. Please provide "startUrls", "locations" or "startUrl".');
+    }
+    if (!searching && (startUrls?.length || cityUrl || locations.length)) {
+        const reason = detailOnly ? 'in a detail-only run' : 'when a search area is given';
+        log.warning(`⚠️ "startUrls" / "cityUrl" / "locations" are ignored ${reason}.`);
+    }
+    if (detailOnly && searchArea) log.warning('⚠️ The search area is ignored when property URLs are given.');
+    if (targetUrls.length > 1 && (inputRegionId || inputRegionType)) {
+        log.warning('⚠️ "regionId" / "regionType" overrides are ignored when several start URLs are given.');
+    }
+
+    const circuitBreaker = createCircuitBreaker({
+        threshold: Math.max(1, +maxConsecutiveBlocks || 5),
+        cooldownMs: Math.max(0, Number.isFinite(+blockCooldownSeconds) ? +blockCooldownSeconds : 60) * 1000,
+    });
+    const fetcher = await createFetcher({
+        proxyConfiguration: proxyConf,
+        maxConcurrency: Math.max(1, Math.min(10, maxConcurrency)),
+        maxRequestsPerMinute: Math.max(1, +maxRequestsPerMinute || 120),
+        maxRequestRetries: Math.max(0, Number.isFinite(+maxRequestRetries) ? +maxRequestRetries : 3),
+        failedRequestsDatasetName,
+        circuitBreaker,
+        getHeaders: (label) => ({
+            ...(API_LABELS.includes(label) ? API_HEADERS : STEALTHY_HEADERS),
+            'User-Agent': getRandomUserAgent(),
+            'Referer': REDFIN_BASE,
+        }),
+    });
+    const recorder = await createRecorder({
+        mode: recordingMode,
+        storeName: recordingStoreName,
+        directory: recordingDirectory,
+    });
+    const fetchPage = recorder ? recorder.wrapFetch(fetcher.fetch, { circuitBreaker }) : fetcher.fetch;
+
+    const photoDownloader = downloadPhotos
+        ? await createPhotoDownloader({
+              storeName: photoStoreName,
+              fetchImage: (url) => fetchPage({ url, label: REQUEST_LABELS.photo }),
+              maxConcurrency: Math.max(1, +photoDownloadConcurrency || 3),
+              maxPerListing: Math.max(1, +maxPhotosPerListing || 10),
+          })
+        : null;
+
+    const estimateFetcher = collectEstimates
+        ? createEstimateFetcher({
+              fetchPage,
+              avmEndpoint: REDFIN_AVM,
+              rentalEstimateEndpoint: REDFIN_RENTAL_ESTIMATE,
+          })
+        : null;
+
+    const fetchSearchPage = async (url) => {
+        const res = await fetchPage({ url, label: REQUEST_LABELS.search });
+        if (res.statusCode !== 200) log.warning(`⚠️ Could not load search page ${url}: ${res.statusCode ?? res.error}`);
+        return res.statusCode === 200 ? res.body : null;
+    };
+
+    const fetchAutocomplete = async (location) => {
+        const url = `${REDFIN_AUTOCOMPLETE}?${new URLSearchParams({ location, v: 2 }).toString()}`;
+        const res = await fetchPage({ url, label: REQUEST_LABELS.autocomplete });
+        if (res.responseClass !== RESPONSE_CLASSES.ok) {
+            log.warning(
+                `⚠️ Location lookup for "${location}" failed (${res.responseClass}) ${res.statusCode ?? res.error}`
+            );
+            return null;
+        }
+        return res.body;
+    };
 
-    if (!targetRegionId) {
-        throw new Error('Could not extract region ID. Please provide a valid Redfin city URL.');
+    const savedState = await loadCrawlState();
+    const regions = savedState?.regions || [];
+    for (const url of savedState ? [] : targetUrls) {
+        try {
+            const region = await resolveRegion({
+                url,
+                fetchHtml: fetchSearchPage,
+                overrides: targetUrls.length === 1 ? regionOverrides : {},
+            });
+            log.info(
+                `🗺️ ${url} → region ${region.regionId} (type ${region.regionType}, market ${region.market || 'unknown'})`
+            );
+            regions.push(region);
+        } catch (err) {
+            log.warning(`⚠️ Skipping start URL: ${err.message}`);
+        }
+    }
+    // Unlike a bad start URL, an unresolved location fails the run: guessing could scrape the wrong place
+    for (const location of savedState ? [] : targetLocations) {
+        const match = await resolveLocation({ location, fetchAutocomplete });
+        log.info(`🗺️ "${location}" → ${match.label} (${match.kind} ${match.regionId ?? '?'}, ${match.url})`);
+        const region = await resolveRegion({
+            url: match.url,
+            fetchHtml: fetchSearchPage,
+            overrides: { regionId: match.regionId, regionType: match.regionType },
+        });
+        log.info(`🗺️ ${region.url} → region ${region.regionId} (market ${region.market || 'unknown'})`);
+        regions.push({ ...region, location });
+    }
+    if (!savedState && detailOnly) {
+        const region = createPropertyListRegion(propertyList.urls);
+        log.info(`🏡 Detail-only run: ${region.name}, no search`);
+        regions.push(region);
+    }
+    if (!savedState && searchArea && !detailOnly) {
+        const region = createAreaRegion(searchArea);
+        log.info(`🗺️ Search area: ${region.name} (${region.regionId})`);
+        regions.push(region);
+    }
+
+    if (!regions.length) {
+        throw new Error('Could not resolve any region. Please provide valid Redfin search URLs or locations.');
     }
 
     log.info('🚀 Starting Redfin Property Scraper - Stealthy Mode');
-    log.info(`🏠 Target Region: ${targetRegionId}`);
-    log.info(`📊 Target: ${resultsWanted} properties, max ${maxPages} pages`);
+    log.info(`🏠 Target Regions: ${regions.length}`);
+    log.info(
+        exhaustiveMode
+            ? '📊 Target: every property of each region, searched in tiles'
+            : `📊 Target: ${resultsWanted} properties per region, max ${maxPages} pages`
+    );
+    if (filters.soldWithinDays) log.info(`🏷️ Mode: sold homes (last ${filters.soldWithinDays} days)`);
     log.info('📋 Method Priority: JSON API → Playwright HTML → Sitemap → Fallback');
+    const filterSummary = describeFilters(filters);
+    if (filterSummary) log.info(`🔎 Filters: ${filterSummary}`);
+
+    // Ids of every listing a method took on, in this region or an earlier one, by method
+    const claimedIds = new Map(
+        Object.entries(savedState?.claimedIds || {}).map(([method, ids]) => [method, new Set(ids)])
+    );
+    // "<method>:<id>" claimed but not yet collected; left out of the saved state so a resumed run scrapes them again
+    const inFlightIds = new Set();
+    let totalSaved = savedState?.totalSaved || 0;
+    let timedOut = false;
+    let migrating = false;
+
+    // Elapsed time carries over restarts so the budget covers the whole run
+    const startTime = Date.now() - (savedState?.elapsedMs || 0);
+    const isOutOfTime = () => maxRuntimeMs > 0 && Date.now() - startTime > maxRuntimeMs;
+    const stats = savedState?.stats || {
+        pagesProcessed: 0,
+        propertiesSaved: 0,
+        apiCalls: 0,
+        errors: 0,
+        filteredOut: 0,
+        invalidRecords: 0,
+        mergedRecords: 0,
+        methodsUsed: [],
+        regions: [],
+    };
 
-    const seenIds = new Set();
-    const limiter = createLimiter(Math.max(1, Math.min(10, maxConcurrency)));
-    let saved = 0;
-    let methodFailed = {};
+    // Position of the crawl: which region, which method within it, and the next API page
+    const cursor = savedState?.cursor || {
+        regionIndex: 0,
+        method: 'api',
+        page: 1,
+        saved: 0,
+        reachedLastPage: false,
+        apiFailed: false,
+        // Kept across regions: once the GIS payload is unreadable the CSV download serves the rest of the run
+        csvFallback: false,
+        // Exhaustive mode: tiles still to search, and how the region's tiling went so far
+        tiles: null,
+        tiling: null,
+    };
+
+    const monitor = monitorMode
+        ? await createMonitor({ storeName: monitorStoreName, mode: filters.soldWithinDays ? 'sold' : 'forSale' })
+        : null;
+    const marketReport = createMarketReport({ searchMode: filters.soldWithinDays ? 'sold' : 'forSale' });
+    const recordStore = createRecordStore({ merge: mergeProperties, batchSize: RECORD_BATCH_SIZE });
+    recordStore.restoreState(savedState?.savedHomes);
+
+    // The saved state is only the cursor and id sets; the report and the monitor's snapshot in progress are
+    // rebuilt from the rows the earlier containers pushed. Unchanged listings of a monitoring run pushed none,
+    // so the report of a resumed one leaves out those seen before the migration.
+    if (savedState) {
+        const regionOf = (row) =>
+            regions.find((region) =>
+                Object.entries(regionFields(region)).every(([field, value]) => (row[field] ?? null) === (value ?? null))
+            );
+        const regionRows = [];
+        await (await Dataset.open()).forEach((row) => {
+            const region = regionOf(row);
+            if (!region || row.changeType === CHANGE_TYPES.removed) return;
+            marketReport.add(row, region, row.changes);
+            if (region === regions[cursor.regionIndex]) regionRows.push(row);
+        });
+        if (monitor) await monitor.restoreState(savedState.monitor, regionRows);
+    }
 
-    const startTime = Date.now();
-    const MAX_RUNTIME_MS = 3.5 * 60 * 1000;
-    const stats = { pagesProcessed: 0, propertiesSaved: 0, apiCalls: 0, errors: 0, methodsUsed: [] };
+    // Returns false when the current method already took the id on, in this region, an earlier one or an
+    // earlier container. Another method's claim does not count: its record is merged with this one.
+    const claimId = (id) => {
+        if (!id) return true;
+        if (!claimedIds.has(cursor.method)) claimedIds.set(cursor.method, new Set());
+        const claimed = claimedIds.get(cursor.method);
+        if (claimed.has(String(id))) return false;
+        claimed.add(String(id));
+        inFlightIds.add(`${cursor.method}:${id}`);
+        return true;
+    };
+    // A listing let go during a migration may not have reached the store; the resumed run takes it on again
+    const releaseId = (id) => {
+        inFlightIds.delete(`${cursor.method}:${id}`);
+        if (migrating) claimedIds.get(cursor.method)?.delete(String(id));
+    };
 
-    // ========================================================================
-    // ATTEMPT 1: JSON API METHOD (FASTEST & CHEAPEST)
-    // ========================================================================
+    const invalidDataset = await Actor.openDataset(invalidRecordsDatasetName);
+
+    // Records that break the output schema go to their own dataset, with the rules they failed
+    const isValidRecord = async (property) => {
+        const failedRules = validateProperty(property);
+        if (!failedRules.length) return true;
+        stats.invalidRecords = (stats.invalidRecords || 0) + 1;
+        log.warning(`🧪 Invalid record ${property.url}: ${describeFailures(failedRules)}`);
+        await invalidDataset.pushData({
+            propertyId: property.propertyId ?? null,
+            url: property.url ?? null,
+            failedRules,
+            record: property,
+            runId: Actor.getEnv().actorRunId || null,
+            fetched_at: property.fetched_at,
+        });
+        return false;
+    };
 
-    log.info('⚡ Attempting JSON API method...');
+    // `totalSaved` counts every record pushed; in monitoring mode only new and changed rows reach the dataset.
+    // Estimates and photos are fetched for the rows that do.
+    const pushRecords = async (region, records) => {
+        if (!records.length) return;
+        const rows = await Promise.all(
+            records.map(async (property) => {
+                const row = monitor ? monitor.check(property) : property;
+                marketReport.add(property, region, row?.changes);
+                if (!row) return null;
+                const [estimates, photoKeys] = await Promise.all([
+                    estimateFetcher ? estimateFetcher.fetchEstimates(property) : {},
+                    photoDownloader ? photoDownloader.download(property).then((keys) => ({ photoKeys: keys })) : {},
+                ]);
+                return { ...row, ...estimates, ...photoKeys, ...regionFields(region) };
+            })
+        );
+        const pushed = rows.filter(Boolean);
+        if (pushed.length) await Dataset.pushData(pushed);
+        totalSaved += records.length;
+        stats.propertiesSaved += pushed.length;
+    };
 
-    for (let page = 1; page <= maxPages && saved < resultsWanted; page += 1) {
-        if (Date.now() - startTime > MAX_RUNTIME_MS) {
-            log.info(`⏱️ Timeout reached. Gracefully stopping.`);
-            await Actor.setValue('TIMEOUT_REACHED', true);
-            break;
+    // Records are held until the region is done, so a home that several methods find becomes one row. Returns
+    // true for a home new to the run; a home already held is merged into its record, one already pushed is dropped.
+    const collectProperty = async (property) => {
+        if (migrating) return false;
+        if (!(await isValidRecord(property))) return false;
+        const result = recordStore.add(property);
+        if (result === RECORD_RESULTS.saved) {
+            log.debug(`🧬 Skipping ${property.url}: its row was already saved`);
+            return false;
         }
+        if (result === RECORD_RESULTS.merged) {
+            stats.mergedRecords = (stats.mergedRecords || 0) + 1;
+            log.debug(`🧬 Merged the ${property.source} record of ${property.url} into the one held for it`);
+            return false;
+        }
+        if (recordStore.isFull()) await pushRecords(regions[cursor.regionIndex], recordStore.take());
+        return true;
+    };
 
-        try {
-            stats.apiCalls += 1;
-            const apiData = await fetchViaJsonAPI({ regionId: targetRegionId, page, proxyConfiguration: proxyConf });
+    const statePersister = createStatePersister({
+        getState: () => ({
+            regions,
+            cursor,
+            claimedIds: Object.fromEntries(
+                [...claimedIds].map(([method, ids]) => [
+                    method,
+                    [...ids].filter((id) => !inFlightIds.has(`${method}:${id}`)),
+                ])
+            ),
+            totalSaved,
+            stats,
+            elapsedMs: Date.now() - startTime,
+            monitor: monitor?.getState(),
+            savedHomes: recordStore.getState(),
+        }),
+        // The saved state only knows the homes pushed, so the held ones go out before it is written
+        onMigrating: async () => {
+            migrating = true;
+            await pushRecords(regions[cursor.regionIndex], recordStore.take());
+        },
+    });
 
-            if (!apiData || !apiData.payload?.homes) {
-                methodFailed.api = true;
-                log.warning('❌ JSON API method failed, moving to next method...');
-                break;
-            }
+    // Detail pages come through the request queue; failures there are already recorded in the failed-requests dataset.
+    // Anything but a recognized detail page is skipped rather than parsed into an all-null record.
+    const fetchDetail = async (url) => {
+        const res = await fetchPage({ url: ensureAbsoluteUrl(url), label: REQUEST_LABELS.detail });
+        if (res.responseClass === RESPONSE_CLASSES.ok) return parseHtmlDetail(res.body);
+        log.debug(`🚫 Detail page ${url} classified as ${res.responseClass}, skipping details`);
+        return null;
+    };
 
-            const homes = apiData.payload.homes || [];
-            log.info(`✅ Page ${page}: Found ${homes.length} properties via API`);
-
-            if (!homes.length) break;
-
-            const detailPromises = homes.map((listing) =>
-                limiter(async () => {
-                    if (saved >= resultsWanted) return;
-                    const id = listing.propertyId || listing.mlsId?.value;
-                    if (id && seenIds.has(id)) return;
-                    if (id) seenIds.add(id);
-
-                    try {
-                        let detail = null;
-
-                        if (collectDetails && listing.url) {
-                            const detailUrl = ensureAbsoluteUrl(listing.url);
-                            const detailRes = await gotScraping({
-                                url: detailUrl,
-                                headers: {
-                                    ...STEALTHY_HEADERS,
-                                    'User-Agent': getRandomUserAgent(),
-                                },
-                                responseType: 'text',
-                                proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                                timeout: { request: 30000 },
-                                throwHttpErrors: false,
-                                retry: { limit: 1 },
-                            });
+    // Detail-only runs also need to know why a page gave no details: gone from Redfin, or not recognized
+    const fetchPropertyPage = async (url) => {
+        const res = await fetchPage({ url, label: REQUEST_LABELS.detail });
+        if (res.responseClass === RESPONSE_CLASSES.notFound) {
+            return { detail: null, url, pageStatus: PAGE_STATUSES.notFound };
+        }
+        if (res.responseClass !== RESPONSE_CLASSES.ok) {
+            log.warning(`🚫 Property page ${url} classified as ${res.responseClass}, skipping it`);
+            return null;
+        }
+        return { detail: await parseHtmlDetail(res.body), url: res.url || url, pageStatus: PAGE_STATUSES.ok };
+    };
 
-                            if (detailRes.statusCode === 200) {
-                                detail = await parseHtmlDetail(detailRes.body);
-                            }
-                        }
+    // False once the region's quota is filled or the container is about to migrate
+    const hasQuotaLeft = () => cursor.saved < resultsWanted && !migrating;
 
-                        const property = buildProperty({ listing, detail, source: 'json-api' });
-                        await Dataset.pushData(property);
-                        saved += 1;
-                        stats.propertiesSaved = saved;
-                    } catch (err) {
-                        stats.errors += 1;
-                        log.warning(`⚠️ Error processing property: ${err.message}`);
-                    }
-                })
-            );
+    // Hands out only as many items as the region still needs, so concurrent detail fetches never overshoot the quota
+    const processInBatches = async (items, task, quota = resultsWanted) => {
+        const pending = [...items];
+        while (pending.length && cursor.saved < quota && !migrating) {
+            const batch = pending.splice(0, quota - cursor.saved);
+            await Promise.all(batch.map(task));
+        }
+    };
 
-            await Promise.all(detailPromises);
-            stats.pagesProcessed = page;
+    // A method counts as used once it saved rows of its own, not when earlier methods of the region did
+    const creditMethod = (method, savedBefore) => {
+        if (cursor.saved > savedBefore && !stats.methodsUsed.includes(method)) stats.methodsUsed.push(method);
+    };
 
-            if (saved > 0 && page === 1) {
-                log.info(`✅ JSON API: First page success! ${saved} properties saved.`);
-                stats.methodsUsed.push('json-api');
+    // Every method goes through the same filter, so the output honors it regardless of source.
+    // The GIS endpoint answers for the envelope of a search area, so rows are clipped to its exact shape here.
+    const passesFilters = (property, region) => {
+        const outsideArea = region.area && !isInsideArea(region.area, property.latitude, property.longitude);
+        const failed = outsideArea ? 'searchArea' : findFailedFilter(property, filters);
+        if (!failed) return true;
+        stats.filteredOut += 1;
+        log.debug(`🔎 Skipping ${property.url}: outside ${failed} filter`);
+        return false;
+    };
+
+    // One page of listings from the GIS endpoint, or from the CSV download when it is selected
+    // or when the JSON payload no longer has the shape this scraper reads. A tile narrows the search.
+    const fetchListingsPage = async (searchRegion, page, tile) => {
+        const { region, filters: tileFilters } = tile
+            ? applyTile({ region: searchRegion, filters, tile })
+            : { region: searchRegion, filters };
+        if (listingSource !== 'csv' && !cursor.csvFallback) {
+            const { data, responseClass } = await fetchViaJsonAPI({ region, page, filters: tileFilters, fetchPage });
+            if (Array.isArray(data?.payload?.homes)) {
+                return { homes: data.payload.homes, responseClass, source: 'json-api' };
             }
-        } catch (err) {
-            stats.errors += 1;
-            methodFailed.api = true;
-            log.warning(`⚠️ JSON API failed: ${err.message}`);
-            break;
+            if (responseClass !== RESPONSE_CLASSES.ok && responseClass !== RESPONSE_CLASSES.unknownLayout) {
+                return { homes: null, responseClass, source: 'json-api' };
+            }
+            log.warning('⚠️ Unrecognized GIS payload, switching to the CSV download');
+            cursor.csvFallback = true;
         }
-    }
+        const { homes, responseClass } = await fetchViaCsv({ region, page, filters: tileFilters, fetchPage });
+        return { homes, responseClass, source: 'csv' };
+    };
+
+    try {
+        // Each region gets its own results_wanted quota; pushed homes are remembered, so regions don't repeat rows
+        for (; cursor.regionIndex < regions.length; cursor.regionIndex += 1) {
+            if (isOutOfTime() || migrating) break;
+
+            const region = regions[cursor.regionIndex];
+            const resuming = cursor.method !== 'api' || cursor.page > 1 || cursor.saved > 0 || cursor.tiling?.tiles > 0;
+            log.info(
+                `🏠 ${resuming ? 'Resuming' : 'Scraping'} region ${region.regionId} (${region.url || region.name})`
+            );
+            if (monitor && !resuming) await monitor.startRegion(region);
+
+            if (region.propertyUrls && cursor.method === 'api') cursor.method = 'details';
+
+            // Exhaustive mode searches tiles instead of pages; quadrants need an outline, so URL regions split by price
+            if (exhaustiveMode && cursor.method === 'api' && !cursor.tiles) {
+                const strategy =
+                    tilingStrategy === TILING_STRATEGIES.quadrants && region.area
+                        ? TILING_STRATEGIES.quadrants
+                        : TILING_STRATEGIES.price;
+                if (strategy !== tilingStrategy) {
+                    log.info('🧩 Quadrant tiling needs a search area, splitting by price');
+                }
+                cursor.tiles = [createRootTile({ region, filters, strategy })];
+                cursor.tiling = { strategy, tiles: 0, saturatedTiles: 0 };
+            }
+            const tiling = exhaustiveMode ? cursor.tiling : null;
+
+            // ========================================================================
+            // DETAIL-ONLY: A GIVEN LIST OF PROPERTY PAGES, NO SEARCH
+            // ========================================================================
+
+            if (cursor.method === 'details') {
+                log.info(`🏡 Scraping ${region.propertyUrls.length} property pages...`);
+                const savedBefore = cursor.saved;
+                // Every page of the list is scraped: `results_wanted` does not apply, nor do the search filters
+                await processInBatches(
+                    region.propertyUrls,
+                    async (url) => {
+                        const id = propertyIdFromUrl(url);
+                        if (isOutOfTime() || !claimId(id)) return;
+
+                        try {
+                            const page = await fetchPropertyPage(url);
+                            if (!page) return;
+                            const property = buildProperty({
+                                listing: { url: page.url, propertyId: id },
+                                detail: page.detail,
+                                source: 'property-list',
+                            });
+                            const pageStatus =
+                                page.pageStatus === PAGE_STATUSES.ok && property.status === 'offMarket'
+                                    ? PAGE_STATUSES.removed
+                                    : page.pageStatus;
+                            if (pageStatus !== PAGE_STATUSES.ok) log.info(`🏡 ${url}: ${pageStatus}`);
+                            if (await collectProperty({ ...property, pageStatus })) cursor.saved += 1;
+                        } catch (err) {
+                            stats.errors += 1;
+                            log.warning(`⚠️ Error processing property page: ${err.message}`);
+                        } finally {
+                            releaseId(id);
+                        }
+                    },
+                    region.propertyUrls.length
+                );
+                stats.pagesProcessed += 1;
+                creditMethod('property-list', savedBefore);
+                if (!migrating) cursor.method = 'done';
+            }
 
-    // ========================================================================
-    // ATTEMPT 2: PLAYWRIGHT METHOD (IF JSON API FAILED)
-    // ========================================================================
+            // ========================================================================
+            // ATTEMPT 1: JSON API METHOD (FASTEST & CHEAPEST)
+            // ========================================================================
 
-    if (saved < resultsWanted && methodFailed.api) {
-        log.info('🌐 Attempting Playwright (stealthy browser) method...');
+            if (cursor.method === 'api') {
+                log.info(
+                    listingSource === 'csv' || cursor.csvFallback
+                        ? '📄 Attempting CSV download method...'
+                        : '⚡ Attempting JSON API method...'
+                );
+            }
+            let pageRateLimitRetries = 0;
+
+            const hasMoreQueries = () => (tiling ? cursor.tiles.length > 0 : cursor.page <= maxPages);
+
+            while (cursor.method === 'api' && hasMoreQueries() && cursor.saved < resultsWanted) {
+                const tile = tiling ? cursor.tiles[0] : null;
+                const page = tiling ? 1 : cursor.page;
+                if (migrating) break;
+                if (isOutOfTime()) {
+                    log.info(`⏱️ Timeout reached. Gracefully stopping.`);
+                    timedOut = true;
+                    await Actor.setValue('TIMEOUT_REACHED', true);
+                    break;
+                }
 
-        try {
-            const playwrightResult = await fetchViaPlaywright({
-                url: targetUrl,
-                proxyConfiguration: proxyConf,
-                collectDetails: true,
-            });
+                if (circuitBreaker.isOpen()) {
+                    cursor.apiFailed = true;
+                    log.warning('🔌 Circuit breaker open: switching from the JSON API to the next method');
+                    break;
+                }
 
-            if (playwrightResult?.properties) {
-                for (const listing of playwrightResult.properties) {
-                    if (saved >= resultsWanted) break;
-
-                    const id = listing.propertyId || listing.url;
-                    if (id && seenIds.has(id)) continue;
-                    if (id) seenIds.add(id);
-
-                    try {
-                        const property = buildProperty({
-                            listing,
-                            detail: null,
-                            source: 'playwright',
-                        });
-                        await Dataset.pushData(property);
-                        saved += 1;
-                        stats.propertiesSaved = saved;
-                    } catch (err) {
-                        stats.errors += 1;
+                try {
+                    stats.apiCalls += 1;
+                    const { homes, responseClass, source } = await fetchListingsPage(region, page, tile);
+                    const sourceName = source === 'csv' ? 'CSV download' : 'JSON API';
+
+                    // A rate limit is not a method failure: the same page is asked for again at the throttled pace
+                    if (
+                        responseClass === RESPONSE_CLASSES.rateLimited &&
+                        pageRateLimitRetries < MAX_PAGE_RATE_LIMIT_RETRIES
+                    ) {
+                        pageRateLimitRetries += 1;
+                        log.warning(
+                            `⏳ ${tile ? 'Tile' : 'Page'} ${tile ? describeTile(tile) : page} is still rate limited, ` +
+                                `retrying it (${pageRateLimitRetries})`
+                        );
+                        continue;
+                    }
+                    pageRateLimitRetries = 0;
+
+                    if (!homes) {
+                        cursor.apiFailed = true;
+                        log.warning(`❌ ${sourceName} method failed, moving to next method...`);
+                        break;
                     }
-                }
 
-                if (saved > 0) {
-                    log.info(`✅ Playwright: ${saved} properties saved!`);
-                    stats.methodsUsed.push('playwright');
+                    log.info(
+                        `✅ ${tile ? `Tile ${describeTile(tile)}` : `Page ${page}`}: ` +
+                            `Found ${homes.length} properties via ${sourceName}`
+                    );
+                    if (!tile && !homes.length) {
+                        cursor.page += 1;
+                        cursor.reachedLastPage = true;
+                        break;
+                    }
+
+                    const savedBefore = cursor.saved;
+                    await processInBatches(homes, async (listing) => {
+                        const id = listing.propertyId || listing.mlsId?.value;
+                        if (!claimId(id)) return;
+
+                        try {
+                            const detail = collectDetails && listing.url ? await fetchDetail(listing.url) : null;
+                            const property = buildProperty({ listing, detail, source });
+                            if (!passesFilters(property, region) || cursor.saved >= resultsWanted) return;
+                            if (await collectProperty(property)) cursor.saved += 1;
+                        } catch (err) {
+                            stats.errors += 1;
+                            log.warning(`⚠️ Error processing property: ${err.message}`);
+                        } finally {
+                            releaseId(id);
+                        }
+                    });
+                    // A page or tile is done once all of its homes are: after a migration before that it is fetched
+                    // again, and the homes it already gave are skipped as claimed
+                    if (migrating) break;
+                    if (tile) {
+                        cursor.tiles.shift();
+                        tiling.tiles += 1;
+                        // A tile that hit the cap may hold more homes than it returned: search its parts as well
+                        if (homes.length >= GIS_PAGE_SIZE) {
+                            const prices = homes.map((home) => parseMoney(unwrapValue(home.price)));
+                            const parts = splitTile(tile, { strategy: tiling.strategy, prices });
+                            if (parts) {
+                                cursor.tiles.push(...parts);
+                            } else {
+                                tiling.saturatedTiles += 1;
+                                log.warning(
+                                    `🧩 Tile ${describeTile(tile)} is still at the result cap and cannot be split`
+                                );
+                            }
+                        }
+                        if (!cursor.tiles.length && !tiling.saturatedTiles) cursor.reachedLastPage = true;
+                    } else {
+                        cursor.page += 1;
+                        if (homes.length < GIS_PAGE_SIZE) cursor.reachedLastPage = true;
+                    }
+                    stats.pagesProcessed += 1;
+
+                    if (cursor.saved > 0 && page === 1 && (!tiling || tiling.tiles === 1)) {
+                        log.info(`✅ ${sourceName}: First page success! ${cursor.saved} properties saved.`);
+                    }
+                    creditMethod(source, savedBefore);
+                } catch (err) {
+                    stats.errors += 1;
+                    cursor.apiFailed = true;
+                    log.warning(`⚠️ JSON API failed: ${err.message}`);
+                    break;
                 }
             }
-        } catch (err) {
-            log.warning(`⚠️ Playwright method failed: ${err.message}`);
-        }
-    }
-
-    // ========================================================================
-    // ATTEMPT 3: SITEMAP METHOD (FAST FALLBACK)
-    // ========================================================================
 
-    if (saved < resultsWanted) {
-        log.info('📍 Attempting Sitemap method...');
+            if (migrating) break;
+            if (cursor.method === 'api') cursor.method = 'playwright';
 
-        try {
-            const sitemapUrls = await fetchSitemapUrls({
-                regionId: targetRegionId,
-                limit: resultsWanted - saved,
-                proxyConfiguration: proxyConf,
-            });
+            // ========================================================================
+            // ATTEMPT 2: PLAYWRIGHT METHOD (IF JSON API FAILED)
+            // ========================================================================
 
-            for (const sitemapUrl of sitemapUrls) {
-                if (saved >= resultsWanted) break;
-                if (seenIds.has(sitemapUrl)) continue;
-                seenIds.add(sitemapUrl);
+            if (cursor.method === 'playwright' && cursor.apiFailed && region.area) {
+                log.info('🌐 Skipping the browser method: a custom search area has no Redfin search page');
+            } else if (
+                cursor.method === 'playwright' &&
+                cursor.saved < resultsWanted &&
+                cursor.apiFailed &&
+                !isOutOfTime()
+            ) {
+                log.info('🌐 Attempting Playwright (stealthy browser) method...');
+                const savedBefore = cursor.saved;
 
                 try {
-                    const detailRes = await gotScraping({
-                        url: sitemapUrl,
-                        headers: {
-                            ...STEALTHY_HEADERS,
-                            'User-Agent': getRandomUserAgent(),
+                    const playwrightResult = await fetchViaPlaywright({
+                        url: buildSearchPageUrl(region.url, filters),
+                        proxyConfiguration: proxyConf,
+                        collectDetails,
+                        maxPages,
+                        circuitBreaker,
+                        recorder,
+                        shouldCollect: (listing) => hasQuotaLeft() && claimId(listing.propertyId || listing.url),
+                        onProperty: async ({ listing, detail }) => {
+                            const id = listing.propertyId || listing.url;
+                            try {
+                                const property = buildProperty({ listing, detail, source: 'playwright' });
+                                if (passesFilters(property, region) && (await collectProperty(property))) {
+                                    cursor.saved += 1;
+                                }
+                            } catch (err) {
+                                stats.errors += 1;
+                                log.warning(`⚠️ Error processing browser property: ${err.message}`);
+                            } finally {
+                                releaseId(id);
+                            }
+                            return hasQuotaLeft() && !isOutOfTime();
                         },
-                        responseType: 'text',
-                        proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                        timeout: { request: 30000 },
-                        throwHttpErrors: false,
-                        retry: { limit: 1 },
                     });
 
-                    if (detailRes.statusCode === 200) {
-                        const detail = await parseHtmlDetail(detailRes.body);
-                        const property = buildProperty({
-                            listing: { url: sitemapUrl },
-                            detail,
-                            source: 'sitemap',
-                        });
-                        await Dataset.pushData(property);
-                        saved += 1;
-                        stats.propertiesSaved = saved;
-
-                        if (saved % 10 === 0) {
-                            log.info(`✅ Sitemap: ${saved} properties collected...`);
-                        }
+                    if (playwrightResult) {
+                        stats.pagesProcessed += playwrightResult.pagesVisited;
+                        log.info(
+                            `🌐 Playwright: ${playwrightResult.listingsFound} listings on ${playwrightResult.pagesVisited} pages, ` +
+                                `${playwrightResult.detailsLoaded} detail pages loaded`
+                        );
+                    }
+                    if (cursor.saved > savedBefore) {
+                        log.info(`✅ Playwright: ${cursor.saved - savedBefore} properties saved!`);
                     }
+                    creditMethod('playwright', savedBefore);
                 } catch (err) {
-                    stats.errors += 1;
+                    log.warning(`⚠️ Playwright method failed: ${err.message}`);
                 }
             }
 
-            if (stats.methodsUsed.length === 0 && saved > 0) {
-                stats.methodsUsed.push('sitemap');
+            if (migrating) break;
+            if (cursor.method === 'playwright') cursor.method = 'sitemap';
+
+            // ========================================================================
+            // ATTEMPT 3: SITEMAP METHOD (FAST FALLBACK)
+            // ========================================================================
+
+            // A tiled region searched below the cap everywhere has nothing left for the sitemap to find
+            if (
+                cursor.method === 'sitemap' &&
+                cursor.saved < resultsWanted &&
+                !isOutOfTime() &&
+                !(tiling && cursor.reachedLastPage)
+            ) {
+                log.info('📍 Attempting Sitemap method...');
+                const savedBefore = cursor.saved;
+
+                try {
+                    const sitemapUrls = await fetchSitemapUrls({
+                        region,
+                        limit: resultsWanted - cursor.saved,
+                        fetchPage,
+                        updatedSince: sitemapUpdatedSince,
+                    });
+
+                    await processInBatches(sitemapUrls, async (sitemapUrl) => {
+                        if (isOutOfTime() || !claimId(sitemapUrl)) return;
+
+                        try {
+                            const detail = await fetchDetail(sitemapUrl);
+                            if (!detail) return;
+                            const property = buildProperty({
+                                listing: { url: sitemapUrl },
+                                detail,
+                                source: 'sitemap',
+                            });
+                            if (!passesFilters(property, region) || cursor.saved >= resultsWanted) return;
+                            if (!(await collectProperty(property))) return;
+                            cursor.saved += 1;
+
+                            if (cursor.saved % 10 === 0) {
+                                log.info(`✅ Sitemap: ${cursor.saved} properties collected...`);
+                            }
+                        } catch (err) {
+                            stats.errors += 1;
+                            log.warning(`⚠️ Error processing sitemap property: ${err.message}`);
+                        } finally {
+                            releaseId(sitemapUrl);
+                        }
+                    });
+
+                    creditMethod('sitemap', savedBefore);
+                } catch (err) {
+                    log.warning(`⚠️ Sitemap method error: ${err.message}`);
+                }
             }
-        } catch (err) {
-            log.warning(`⚠️ Sitemap method error: ${err.message}`);
+
+            if (migrating) break;
+            await pushRecords(region, recordStore.take());
+            log.info(
+                `🏁 Region ${region.regionId}: ${cursor.saved}${exhaustiveMode ? '' : `/${resultsWanted}`} ` +
+                    'properties saved'
+            );
+
+            if (monitor) {
+                // Only a full pass over the API results proves that a missing listing is really gone
+                const removed = await monitor.finishRegion({
+                    complete: cursor.reachedLastPage && !cursor.apiFailed && cursor.saved < resultsWanted && !timedOut,
+                });
+                for (const row of removed) {
+                    await Dataset.pushData({ ...row, ...regionFields(region) });
+                    stats.propertiesSaved += 1;
+                }
+            }
+            const regionStats = { ...regionFields(region), regionId: region.regionId, propertiesSaved: cursor.saved };
+            if (tiling) {
+                // Covered once every tile was searched below the cap; a filled quota leaves tiles unsearched
+                const fullyCovered = !cursor.tiles.length && !tiling.saturatedTiles && !cursor.apiFailed;
+                log.info(
+                    `🧩 Region ${region.regionId}: ${tiling.tiles} tiles searched by ${tiling.strategy}, ` +
+                        `${fullyCovered ? 'fully covered' : 'not fully covered'}`
+                );
+                regionStats.tiling = { ...tiling, tilesLeft: cursor.tiles.length, fullyCovered };
+            }
+            stats.regions.push(regionStats);
+
+            Object.assign(cursor, {
+                method: 'api',
+                page: 1,
+                saved: 0,
+                reachedLastPage: false,
+                apiFailed: false,
+                tiles: null,
+                tiling: null,
+            });
+            await statePersister.persist();
         }
+    } finally {
+        // A region that failed still gets its held rows out; after a migration or the last region none are held
+        await pushRecords(regions[cursor.regionIndex], recordStore.take());
     }
 
+    if (migrating) {
+        // The platform restarts the run on another server and the saved cursor picks it up from there. Should it
+        // not stop this container, the run ends without a summary and keeps its state, so a resurrected run resumes.
+        await sleep(MIGRATION_WAIT_MS);
+        log.warning(`🚚 Still running ${MIGRATION_WAIT_MS / 60000} minutes after the migration began, stopping`);
+        await fetcher.close();
+        await Actor.exit({ statusMessage: 'Stopped after a migration; resurrect the run to resume it' });
+    }
+
+    if (isOutOfTime()) timedOut = true;
+
     const totalTime = (Date.now() - startTime) / 1000;
 
     log.info('='.repeat(70));
     log.info('📊 FINAL STATISTICS');
     log.info('='.repeat(70));
-    log.info(`✅ Properties Saved: ${saved}/${resultsWanted}`);
-    log.info(`📄 Pages Processed: ${stats.pagesProcessed}/${maxPages}`);
+    log.info(`✅ Properties Saved: ${totalSaved}${exhaustiveMode ? '' : `/${resultsWanted * regions.length}`}`);
+    if (monitor) {
+        const { counts } = monitor;
+        log.info(`🛰️ Rows Emitted: ${stats.propertiesSaved}`);
+        log.info(
+            `🛰️ Changes: ${counts.new} new, ${counts.removed} removed, ${counts.priceDrop} price drops, ` +
+                `${counts.priceIncrease} price increases, ${counts.statusChange} status changes, ${counts.unchanged} unchanged`
+        );
+    }
+    log.info(`📄 Pages Processed: ${stats.pagesProcessed}/${maxPages * regions.length}`);
     log.info(`🌐 API Calls: ${stats.apiCalls}`);
     log.info(`⚠️  Errors: ${stats.errors}`);
+    log.info(`🚫 Failed Requests: ${fetcher.counts.failed} (see dataset "${failedRequestsDatasetName}")`);
+    log.info(
+        `🛡️ Responses: ${Object.entries(circuitBreaker.counts)
+            .map(([responseClass, count]) => `${count} ${responseClass}`)
+            .join(', ')}; circuit breaker tripped ${circuitBreaker.getTrips()} times`
+    );
+    const rateControl = fetcher.throttle.getStats();
+    log.info(
+        `🚦 Rate Control: ${rateControl.rateLimited} rate limits, ${rateControl.slowdowns} slowdowns, ` +
+            `${rateControl.speedups} speedups, ending at ${rateControl.requestsPerMinute} requests/minute`
+    );
+    if (recorder) {
+        const { recorded, replayed, missing } = recorder.counts;
+        log.info(`📼 Recordings: ${recorded} recorded, ${replayed} replayed, ${missing} missing`);
+    }
+    const tiledRegions = stats.regions.filter((entry) => entry.tiling);
+    const tilingSummary = exhaustiveMode
+        ? {
+              tiles: tiledRegions.reduce((sum, entry) => sum + entry.tiling.tiles, 0),
+              fullyCovered: tiledRegions.length > 0 && tiledRegions.every((entry) => entry.tiling.fullyCovered),
+          }
+        : undefined;
+    if (tilingSummary) {
+        log.info(
+            `🧩 Tiles: ${tilingSummary.tiles} searched, ` +
+                `${tiledRegions.filter((entry) => entry.tiling.fullyCovered).length}/${regions.length} regions fully covered`
+        );
+    }
+    if (estimateFetcher) {
+        const { estimated, rentalEstimated, failed } = estimateFetcher.counts;
+        log.info(
+            `💲 Estimates: ${estimated} Redfin Estimates, ${rentalEstimated} rental estimates, ${failed} failed lookups`
+        );
+    }
+    if (photoDownloader) {
+        const { downloaded, failed } = photoDownloader.counts;
+        log.info(`🖼️ Photos: ${downloaded} downloaded, ${failed} failed`);
+    }
+    log.info(`🔎 Filtered Out: ${stats.filteredOut}`);
+    log.info(`🧪 Invalid Records: ${stats.invalidRecords || 0} (see dataset "${invalidRecordsDatasetName}")`);
+    log.info(`🧬 Merged Records: ${stats.mergedRecords || 0} (homes found by more than one method)`);
     log.info(`⏱️  Total Runtime: ${totalTime.toFixed(2)}s`);
-    log.info(`⚡ Performance: ${(saved / totalTime).toFixed(2)} properties/second`);
+    log.info(`⚡ Performance: ${(totalSaved / totalTime).toFixed(2)} properties/second`);
     log.info(`🔧 Methods Used: ${stats.methodsUsed.join(', ') || 'None successful'}`);
     log.info('='.repeat(70));
 
-    if (saved === 0) {
-        const errorMsg = 'Failed to scrape any properties. Check logs and configuration.';
+    await statePersister.clear();
+    await fetcher.close();
+
+    const report = marketReport.build();
+    await Actor.setValue(MARKET_REPORT_KEY, report);
+    if (marketReportHtml) {
+        await Actor.setValue(MARKET_REPORT_HTML_KEY, renderMarketReportHtml(report), { contentType: 'text/html' });
+    }
+    log.info(`📈 Market report saved as ${MARKET_REPORT_KEY}${marketReportHtml ? ` and ${MARKET_REPORT_HTML_KEY}` : ''}`);
+    const exports = exportFormats.length ? await writeExports(exportFormats) : undefined;
+
+    // Written for failed runs too, so a blocked run can be told apart from an empty region
+    await Actor.setValue('OUTPUT_SUMMARY', {
+        searchMode: filters.soldWithinDays ? 'sold' : 'forSale',
+        propertiesSaved: totalSaved,
+        pagesProcessed: stats.pagesProcessed,
+        filteredOut: stats.filteredOut,
+        invalidRecords: stats.invalidRecords || 0,
+        mergedRecords: stats.mergedRecords || 0,
+        requests: { ...fetcher.counts },
+        responses: { ...circuitBreaker.counts },
+        circuitBreakerTrips: circuitBreaker.getTrips(),
+        rateControl,
+        recordings: recorder ? { mode: recorder.mode, ...recorder.counts } : undefined,
+        tiling: tilingSummary,
+        estimates: estimateFetcher ? { ...estimateFetcher.counts } : undefined,
+        photos: photoDownloader ? { ...photoDownloader.counts } : undefined,
+        exports,
+        regions: stats.regions,
+        monitoring: monitor ? { rowsEmitted: stats.propertiesSaved, ...monitor.counts } : undefined,
+        runtime: totalTime,
+        methodsUsed: stats.methodsUsed,
+        success: totalSaved > 0,
+    });
+
+    if (totalSaved === 0) {
+        const blocked = circuitBreaker.counts.blocked + circuitBreaker.counts.captcha;
+        const errorMsg = blocked
+            ? `Failed to scrape any properties: ${blocked} responses were block or captcha pages.`
+            : 'Failed to scrape any properties. Check logs and configuration.';
         log.error(`❌ ${errorMsg}`);
         await Actor.fail(errorMsg);
     } else {
-        log.info(`✅ SUCCESS: Scraped ${saved} properties!`);
-        await Actor.setValue('OUTPUT_SUMMARY', {
-            propertiesSaved: saved,
-            pagesProcessed: stats.pagesProcessed,
-            runtime: totalTime,
-            methodsUsed: stats.methodsUsed,
-            success: true,
-        });
+        log.info(`✅ SUCCESS: Scraped ${totalSaved} properties!`);
     }
 } catch (error) {
     log.error(`❌ CRITICAL ERROR: ${error.message}`);
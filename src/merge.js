@@ -0,0 +1,252 @@
+// Record merging - field-level merge of what each source says about a property, with provenance
+import { propertyIdFromUrl } from './regions.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Where a field value came from: the search API (GIS JSON or its CSV export), the detail page's JSON-LD,
+// its labelled HTML, or worked out from other fields
+export const SOURCES = {
+    api: 'api',
+    jsonLd: 'jsonLd',
+    html: 'html',
+    derived: 'derived',
+};
+
+// The record field naming the source of every other field
+export const PROVENANCE_FIELD = '_provenance';
+
+const DEFAULT_PRIORITY = [SOURCES.api, SOURCES.jsonLd, SOURCES.html, SOURCES.derived];
+
+// Fields where the page knows more than the search listing
+const FIELD_PRIORITY = {
+    // Every scheduled open house, where the listing only has the next one
+    openHouses: [SOURCES.html, SOURCES.api, SOURCES.jsonLd, SOURCES.derived],
+    // The page's full attribution line, where the listing only names the MLS
+    mlsAttribution: [SOURCES.html, SOURCES.api, SOURCES.jsonLd, SOURCES.derived],
+};
+
+// Spellings of the same street address reduced to one
+const ADDRESS_WORDS = {
+    street: 'st',
+    avenue: 'ave',
+    av: 'ave',
+    road: 'rd',
+    drive: 'dr',
+    boulevard: 'blvd',
+    lane: 'ln',
+    court: 'ct',
+    place: 'pl',
+    terrace: 'ter',
+    circle: 'cir',
+    parkway: 'pkwy',
+    highway: 'hwy',
+    square: 'sq',
+    trail: 'trl',
+    north: 'n',
+    south: 's',
+    east: 'e',
+    west: 'w',
+    northeast: 'ne',
+    northwest: 'nw',
+    southeast: 'se',
+    southwest: 'sw',
+    apartment: 'unit',
+    apt: 'unit',
+    suite: 'unit',
+    ste: 'unit',
+};
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+// Null and empty text say nothing about a field; an empty list says there is none
+export const isMissing = (value) => value === null || value === undefined || value === '';
+
+const isEmptyList = (value) => Array.isArray(value) && !value.length;
+
+const rankOf = (field, source) => {
+    const order = FIELD_PRIORITY[field] || DEFAULT_PRIORITY;
+    const rank = order.indexOf(source);
+    return rank === -1 ? order.length : rank;
+};
+
+// An empty list gives way to a list with entries from any source; otherwise the better source wins
+const replaces = (field, value, source, held, heldSource) => {
+    if (isEmptyList(held) !== isEmptyList(value)) return isEmptyList(held);
+    return rankOf(field, source) < rankOf(field, heldSource);
+};
+
+/**
+ * Merge partial records field by field. Each candidate is `{ source, fields }`, or `{ fields, provenance }`
+ * for a record merged before, whose fields keep the source they came from. A field takes the value of
+ * the highest-priority source that has one (API JSON > JSON-LD > labelled HTML > derived, unless
+ * FIELD_PRIORITY says otherwise); on a tie the earlier candidate wins. Returns `{ fields, provenance }`,
+ * `provenance` naming the source of every field set.
+ */
+export const mergeFields = (candidates) => {
+    const fields = {};
+    const provenance = {};
+    for (const { source, fields: values, provenance: sources } of candidates) {
+        for (const [field, value] of Object.entries(values || {})) {
+            const from = sources?.[field] ?? source;
+            if (isMissing(value) || !from) continue;
+            if (field in provenance && !replaces(field, value, from, fields[field], provenance[field])) continue;
+            fields[field] = value;
+            provenance[field] = from;
+        }
+    }
+    return { fields, provenance };
+};
+
+/**
+ * The fields of a built record that some source supplied, with their provenance; derived fields are
+ * left out so they are worked out again after a merge.
+ */
+export const sourcedFields = (record) => {
+    const entries = Object.entries(record[PROVENANCE_FIELD] || {}).filter(([, source]) => source !== SOURCES.derived);
+    return {
+        fields: Object.fromEntries(entries.map(([field]) => [field, record[field]])),
+        provenance: Object.fromEntries(entries),
+    };
+};
+
+// ============================================================================
+// IDENTITY
+// ============================================================================
+
+/**
+ * "123 North Main Street, Apt. 4" -> "123 n main st unit 4", so the API and a detail page spell a
+ * street address the same way.
+ */
+export const normalizeAddress = (address) => {
+    const words = String(address || '')
+        .toLowerCase()
+        .replace(/#\s*/g, ' unit ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => ADDRESS_WORDS[word] || word);
+    // "Unit Unit 4" after "Apt #4"
+    return words.filter((word, i) => !(word === 'unit' && words[i - 1] === 'unit')).join(' ') || null;
+};
+
+/**
+ * Keys that identify the home a record describes: its Redfin property id (its own, or the one in its
+ * URL) and its normalized street address with the ZIP code, or city and state without one. Records
+ * of the same home from different methods share at least one key even when their ids differ.
+ */
+export const recordKeys = (record) => {
+    const keys = [];
+    const propertyId = /^\d+$/.test(String(record.propertyId ?? '')) ? record.propertyId : propertyIdFromUrl(record.url);
+    if (propertyId) keys.push(`id:${propertyId}`);
+    const street = normalizeAddress(record.streetAddress);
+    const cityState = record.city && record.state ? `${record.city} ${record.state}`.toLowerCase() : null;
+    const place = record.zip ? String(record.zip).slice(0, 5) : cityState;
+    if (street && place) keys.push(`address:${street}|${place}`);
+    return keys;
+};
+
+const idKeyOf = (keys) => keys.find((key) => key.startsWith('id:')) || null;
+
+/**
+ * Whether a record is of a home in `savedKeys`, the keys of records saved before: by its Redfin id
+ * when it has one, by its address when it has not.
+ */
+const isKnownHome = (record, savedKeys) => {
+    const keys = recordKeys(record);
+    const idKey = idKeyOf(keys);
+    return idKey ? savedKeys.has(idKey) : keys.some((key) => savedKeys.has(key));
+};
+
+// ============================================================================
+// RECORD STORE
+// ============================================================================
+
+// What became of a record handed to the store
+export const RECORD_RESULTS = {
+    added: 'added',
+    merged: 'merged',
+    saved: 'saved',
+};
+
+/**
+ * Records of the current region, one per home, held so every method can add to them until they are pushed.
+ * `add(record)` keeps the record of a new home (`added`), merges one of a home already held (same Redfin
+ * id, or same address when the ids do not conflict) into it with `merge(existing, incoming)` (`merged`),
+ * and drops one of a home handed over before (`saved`), whose row is already out. `take()` hands the held
+ * records over and remembers their keys; `isFull()` is true once `batchSize` records are held. The state
+ * is the ids of the homes handed over, or the address keys of those without one, so held records have to
+ * be taken before it is saved; after a restore a home with an id is known by its id alone.
+ */
+export const createRecordStore = ({ merge, batchSize = Infinity }) => {
+    let records = [];
+    const positions = new Map();
+    const savedKeys = new Set();
+    // What the state keeps of savedKeys: the ids, and the addresses of homes without one
+    const savedIds = new Set();
+    const savedAddresses = new Set();
+
+    const index = (record, position) => {
+        for (const key of recordKeys(record)) positions.set(key, position);
+    };
+
+    const find = (record) => {
+        const keys = recordKeys(record);
+        const idKey = idKeyOf(keys);
+        for (const key of keys) {
+            const position = positions.get(key);
+            if (position === undefined) continue;
+            // Two Redfin ids are two homes, whatever their addresses say
+            const heldIdKey = idKeyOf(recordKeys(records[position]));
+            if (!idKey || !heldIdKey || idKey === heldIdKey) return position;
+        }
+        return -1;
+    };
+
+    const add = (record) => {
+        if (isKnownHome(record, savedKeys)) return RECORD_RESULTS.saved;
+        const position = find(record);
+        if (position === -1) {
+            records.push(record);
+            index(record, records.length - 1);
+            return RECORD_RESULTS.added;
+        }
+        records[position] = merge(records[position], record);
+        index(records[position], position);
+        return RECORD_RESULTS.merged;
+    };
+
+    const isFull = () => records.length >= batchSize;
+
+    const take = () => {
+        const taken = records;
+        records = [];
+        positions.clear();
+        for (const record of taken) {
+            const keys = recordKeys(record);
+            for (const key of keys) savedKeys.add(key);
+            const idKey = idKeyOf(keys);
+            if (idKey) savedIds.add(idKey.slice('id:'.length));
+            else for (const key of keys) savedAddresses.add(key);
+        }
+        return taken;
+    };
+
+    const getState = () => ({ savedIds: [...savedIds], savedAddresses: [...savedAddresses] });
+    const restoreState = (state) => {
+        for (const set of [savedKeys, savedIds, savedAddresses]) set.clear();
+        for (const id of state?.savedIds || []) {
+            savedIds.add(id);
+            savedKeys.add(`id:${id}`);
+        }
+        for (const key of state?.savedAddresses || []) {
+            savedAddresses.add(key);
+            savedKeys.add(key);
+        }
+    };
+
+    return { add, isFull, take, getState, restoreState };
+};
@@ -0,0 +1,190 @@
+// Incremental monitoring - diffs each region against the snapshot stored by the previous run
+import { Actor, log } from 'apify';
+
+import { classifyListingStatus } from './filters.js';
+import { parseMoney } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const CHANGE_TYPES = {
+    new: 'new',
+    changed: 'changed',
+    removed: 'removed',
+};
+
+export const FIELD_CHANGES = {
+    priceDrop: 'priceDrop',
+    priceIncrease: 'priceIncrease',
+    statusChange: 'statusChange',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const snapshotKey = (region, mode) =>
+    `SNAPSHOT-${mode}-${region.regionType}-${region.regionId}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+
+const toSnapshotEntry = (property, fetchedAt) => ({
+    url: property.url,
+    address: property.address,
+    price: parseMoney(property.price),
+    status: property.status || null,
+    lastSeen: fetchedAt,
+});
+
+/**
+ * Compare a fresh record with its snapshot entry. A field the new record lacks never counts
+ * as a change, so a sparse fallback row does not look like a price or status change.
+ */
+export const diffProperty = (previous, property) => {
+    const changes = [];
+    const newPrice = parseMoney(property.price);
+    if (previous.price !== null && newPrice !== null && newPrice !== previous.price) {
+        changes.push({
+            type: newPrice < previous.price ? FIELD_CHANGES.priceDrop : FIELD_CHANGES.priceIncrease,
+            field: 'price',
+            oldValue: previous.price,
+            newValue: newPrice,
+        });
+    }
+
+    // Snapshots written before statuses were normalized hold the raw label ("Active")
+    const oldStatus = classifyListingStatus(previous.status) || previous.status;
+    const newStatus = property.status || null;
+    if (oldStatus && newStatus && oldStatus.toLowerCase() !== newStatus.toLowerCase()) {
+        changes.push({
+            type: FIELD_CHANGES.statusChange,
+            field: 'status',
+            oldValue: previous.status,
+            newValue: newStatus,
+        });
+    }
+
+    return changes;
+};
+
+// ============================================================================
+// MONITOR
+// ============================================================================
+
+/**
+ * Open the named snapshot store and return a monitor that decides, per property, what to emit.
+ * Usage per region: `startRegion()`, `check()` for every built property, then `finishRegion()`.
+ */
+export const createMonitor = async ({ storeName, mode }) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const counts = { new: 0, removed: 0, unchanged: 0, priceDrop: 0, priceIncrease: 0, statusChange: 0 };
+
+    let key = null;
+    let previous = {};
+    let current = {};
+    // Listings of the region that went unchanged, so emitted no row to find them by after a restart
+    const unchanged = new Set();
+
+    const startRegion = async (region) => {
+        key = snapshotKey(region, mode);
+        previous = (await store.getValue(key)) || {};
+        current = {};
+        unchanged.clear();
+        log.info(`🛰️ Monitoring: ${Object.keys(previous).length} listings in previous snapshot ${key}`);
+    };
+
+    // Keep the last known value when this run could not read it
+    const snapshotEntry = (property, before) => {
+        const entry = toSnapshotEntry(property, property.fetched_at || new Date().toISOString());
+        if (before && entry.price === null) entry.price = before.price;
+        if (before && !entry.status) entry.status = before.status;
+        return entry;
+    };
+
+    // Returns the row to push, or null when the listing is unchanged since the last run
+    const check = (property) => {
+        const id = String(property.propertyId);
+        const before = previous[id];
+        current[id] = snapshotEntry(property, before);
+
+        if (!before) {
+            counts.new += 1;
+            return { ...property, changeType: CHANGE_TYPES.new, changes: [] };
+        }
+
+        const changes = diffProperty(before, property);
+        if (!changes.length) {
+            counts.unchanged += 1;
+            unchanged.add(id);
+            return null;
+        }
+
+        for (const change of changes) counts[change.type] += 1;
+        return { ...property, changeType: CHANGE_TYPES.changed, changes };
+    };
+
+    /**
+     * Persist the new snapshot and return the rows for removed listings.
+     * Removals are only reported when the region was scraped completely; otherwise listings
+     * that were merely past the quota would look removed, so they are carried over instead.
+     */
+    const finishRegion = async ({ complete }) => {
+        const removed = [];
+        const next = { ...current };
+
+        for (const [id, entry] of Object.entries(previous)) {
+            if (current[id]) continue;
+            if (complete) {
+                counts.removed += 1;
+                removed.push({
+                    propertyId: id,
+                    url: entry.url,
+                    address: entry.address,
+                    price: entry.price,
+                    // Snapshots written before statuses were normalized hold the raw label
+                    status: classifyListingStatus(entry.status),
+                    lastSeen: entry.lastSeen,
+                    changeType: CHANGE_TYPES.removed,
+                    changes: [],
+                    fetched_at: new Date().toISOString(),
+                });
+            } else {
+                next[id] = entry;
+            }
+        }
+
+        await store.setValue(key, next);
+        if (!complete && Object.keys(previous).length) {
+            log.info('🛰️ Monitoring: region was not scraped completely, removals are not reported this run');
+        }
+        return removed;
+    };
+
+    // Saved with the crawl state: the snapshot in progress is rebuilt from it, the rows the region emitted so far
+    // and the previous snapshot, which stays in the store until the region is finished
+    const getState = () => ({
+        key,
+        unchangedIds: [...unchanged],
+        counts: { ...counts },
+        savedAt: new Date().toISOString(),
+    });
+
+    /**
+     * Pick up the region in progress after a restart. `rows` are the new and changed rows it emitted before;
+     * an unchanged listing was last seen by the time the state was saved.
+     */
+    const restoreState = async (state, rows = []) => {
+        if (!state) return;
+        Object.assign(counts, state.counts);
+        if (!state.key) return;
+        key = state.key;
+        previous = (await store.getValue(key)) || {};
+        current = {};
+        for (const row of rows) current[String(row.propertyId)] = snapshotEntry(row, previous[row.propertyId]);
+        for (const id of state.unchangedIds) {
+            unchanged.add(id);
+            if (previous[id]) current[id] = { ...previous[id], lastSeen: state.savedAt };
+        }
+    };
+
+    return { startRegion, check, finishRegion, getState, restoreState, counts };
+};
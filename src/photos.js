@@ -0,0 +1,154 @@
+// Listing photos - the detail page gallery at full resolution, with optional download into a key-value store
+import { Actor, log } from 'apify';
+
+import { cleanText } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Gallery images on a detail page, in gallery order
+const GALLERY_IMAGES = [
+    '.InlinePhotoPreview img',
+    '.PhotosView img',
+    '.MediaCarousel img',
+    '[data-rf-test-id="gallery"] img',
+    '.photo-carousel img',
+].join(', ');
+
+// Redfin's CDN serves every photo in several sizes: `/photo/<source>/<size>/<dir>/[genMid.]<file>`,
+// `bigphoto` being the original
+const CDN_PHOTO = /^(https?:\/\/[^/]*cdn-redfin\.com\/photo\/\d+\/)(?:bigphoto|mbphoto|mbpaddedwide|islphoto|bcsphoto)(\/.+\/)(?:gen[A-Z][a-zA-Z]*\.)?([^/]+)$/;
+
+// Alt texts that say nothing about the photo
+const GENERIC_ALT = /^(?:photo|image|property photo|listing photo)?\s*(?:\d+\s*(?:of\s*\d+)?)?$/i;
+
+// Key-value store keys allow these characters only
+const KEY_CHARS = /[^a-zA-Z0-9!\-_.'()]+/g;
+
+// ============================================================================
+// GALLERY
+// ============================================================================
+
+/**
+ * The full-size version of a Redfin CDN photo URL; other URLs are returned unchanged.
+ */
+export const toFullSizePhotoUrl = (url) => {
+    if (!url) return null;
+    const absolute = url.startsWith('//') ? `https:${url}` : url;
+    return absolute.replace(CDN_PHOTO, '$1bigphoto$2$3');
+};
+
+// The widest candidate of a srcset, which Redfin fills with the smaller sizes
+const largestFromSrcset = (srcset) =>
+    (srcset || '')
+        .split(',')
+        .map((candidate) => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .sort(([, a = '0w'], [, b = '0w']) => parseFloat(b) - parseFloat(a))[0]?.[0] || null;
+
+const fromJsonLd = (jsonLdArray) =>
+    (jsonLdArray || [])
+        .flatMap((item) => [].concat(item?.image ?? []))
+        .map((image) =>
+            typeof image === 'string'
+                ? { url: image, caption: null }
+                : { url: image?.contentUrl || image?.url, caption: image?.caption || image?.name || null }
+        );
+
+const fromGallery = ($) =>
+    $(GALLERY_IMAGES)
+        .map((_, el) => {
+            const $el = $(el);
+            const alt = cleanText($el.attr('alt'));
+            return {
+                url: largestFromSrcset($el.attr('srcset')) || $el.attr('data-src') || $el.attr('src'),
+                caption:
+                    cleanText($el.closest('figure').find('figcaption').first().text()) ||
+                    (alt && !GENERIC_ALT.test(alt) ? alt : null),
+            };
+        })
+        .get();
+
+/**
+ * Every gallery photo of a detail page as `{ position, url, caption }`, `position` counting from 1 in
+ * gallery order and `url` at the highest resolution Redfin serves. JSON-LD images come first, the DOM
+ * gallery adds what they miss; a photo found in both keeps the first caption given.
+ */
+export const parsePhotos = ($, jsonLdArray) => {
+    const byUrl = new Map();
+    for (const { url, caption } of [...fromJsonLd(jsonLdArray), ...fromGallery($)]) {
+        const fullSize = toFullSizePhotoUrl(url);
+        if (!fullSize || fullSize.startsWith('data:')) continue;
+        const known = byUrl.get(fullSize);
+        if (known) known.caption ||= caption;
+        else byUrl.set(fullSize, { url: fullSize, caption: caption || null });
+    }
+    return [...byUrl.values()].map((photo, index) => ({ position: index + 1, ...photo }));
+};
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+// `photo-<property id>-<position>`, e.g. `photo-11111-003`
+export const photoKey = (propertyId, position) =>
+    `photo-${String(propertyId).replace(KEY_CHARS, '-').slice(-200)}-${String(position).padStart(3, '0')}`;
+
+/**
+ * Download listing photos into the key-value store `storeName` (the run's default store when not
+ * given). At most `maxConcurrency` downloads run at once across all listings, and only the first
+ * `maxPerListing` photos of a listing are fetched. `download()` resolves with the keys stored,
+ * in gallery order; a photo that fails is logged and left out.
+ */
+export const createPhotoDownloader = async ({ storeName, fetchImage, maxConcurrency = 3, maxPerListing = 10 }) => {
+    const store = await Actor.openKeyValueStore(storeName || undefined);
+    const counts = { downloaded: 0, failed: 0 };
+    const waiting = [];
+    let running = 0;
+
+    // A finished download hands its slot straight to the next one waiting
+    const acquire = async () => {
+        if (running < maxConcurrency) {
+            running += 1;
+            return;
+        }
+        await new Promise((resolve) => {
+            waiting.push(resolve);
+        });
+    };
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next();
+        else running -= 1;
+    };
+
+    const downloadPhoto = async (propertyId, { position, url }) => {
+        await acquire();
+        try {
+            const res = await fetchImage(url);
+            // A block page or an expired URL answers with something other than an image
+            if (!res.buffer || !/^image\//.test(res.contentType || '')) {
+                throw new Error(res.error || `got ${res.contentType || 'no content'} (${res.statusCode})`);
+            }
+            const key = photoKey(propertyId, position);
+            await store.setValue(key, res.buffer, { contentType: res.contentType });
+            counts.downloaded += 1;
+            return key;
+        } catch (err) {
+            counts.failed += 1;
+            log.warning(`🖼️ Could not download photo ${position} of ${propertyId}: ${err.message}`);
+            return null;
+        } finally {
+            release();
+        }
+    };
+
+    const download = async ({ propertyId, photos }) => {
+        const selected = (photos || []).slice(0, maxPerListing);
+        const keys = await Promise.all(selected.map((photo) => downloadPhoto(propertyId, photo)));
+        return keys.filter(Boolean);
+    };
+
+    return { download, counts };
+};
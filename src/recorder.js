@@ -0,0 +1,157 @@
+// Record and replay - saves every response of a run and serves it back later without the network
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { Actor, log } from 'apify';
+
+import { classifyResponse, RESPONSE_CLASSES } from './blocking.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const RECORDING_MODES = {
+    off: 'off',
+    record: 'record',
+    replay: 'replay',
+};
+
+// Bodies that are not text (gzipped sitemaps, photos) are stored base64 encoded
+const BINARY_CONTENT_TYPE = /gzip|octet-stream|^image\//;
+const SLUG_LENGTH = 80;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Key of a recording: the request label, a readable slug of the URL path and a hash of the whole URL,
+ * e.g. `DETAIL-IL-Chicago-1-Main-St-60601-home-12345-3f2a9c1e0b7d`. Valid as a key-value store key and a file name.
+ */
+export const recordingKey = ({ url, label }) => {
+    const { pathname } = new URL(url);
+    const slug = pathname
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, SLUG_LENGTH);
+    const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+    return [label || 'GET', slug, hash].filter(Boolean).join('-');
+};
+
+const openDirectoryStore = async (directory) => {
+    await mkdir(directory, { recursive: true });
+    return {
+        get: async (key) => {
+            try {
+                return JSON.parse(await readFile(join(directory, `${key}.json`), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        set: (key, value) => writeFile(join(directory, `${key}.json`), `${JSON.stringify(value, null, 2)}\n`),
+    };
+};
+
+const openKeyValueStore = async (storeName) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    return {
+        get: (key) => store.getValue(key),
+        set: (key, value) => store.setValue(key, value),
+    };
+};
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+/**
+ * Open the recordings of `mode` ('record' or 'replay'), kept in `directory` when given and in the
+ * named key-value store otherwise. Returns null when recording is off.
+ * A recording is `{ url, label, statusCode, contentType, body, bodyEncoding, captures, recordedAt }`;
+ * `captures` holds the GIS responses a browser page fired while it loaded.
+ */
+export const createRecorder = async ({ mode = RECORDING_MODES.off, storeName = 'redfin-recordings', directory }) => {
+    if (mode !== RECORDING_MODES.record && mode !== RECORDING_MODES.replay) return null;
+
+    const store = directory ? await openDirectoryStore(directory) : await openKeyValueStore(storeName);
+    const counts = { recorded: 0, replayed: 0, missing: 0 };
+    const isRecording = mode === RECORDING_MODES.record;
+    const isReplaying = mode === RECORDING_MODES.replay;
+    const location = directory || `store "${storeName}"`;
+    log.info(`📼 ${isRecording ? 'Recording responses to' : 'Replaying responses from'} ${location}`);
+
+    const save = async ({ url, label, statusCode, contentType = null, body, buffer, captures }) => {
+        const binary = BINARY_CONTENT_TYPE.test(contentType || '') && buffer;
+        await store.set(recordingKey({ url, label }), {
+            url,
+            label,
+            statusCode,
+            contentType,
+            body: binary ? buffer.toString('base64') : body,
+            bodyEncoding: binary ? 'base64' : 'utf8',
+            captures,
+            recordedAt: new Date().toISOString(),
+        });
+        counts.recorded += 1;
+    };
+
+    // Resolves the recording with `buffer` restored, or null when the request was never recorded
+    const load = async ({ url, label }) => {
+        const recording = await store.get(recordingKey({ url, label }));
+        if (!recording) {
+            counts.missing += 1;
+            log.warning(`📼 No recording of ${label} ${url} (key ${recordingKey({ url, label })})`);
+            return null;
+        }
+        counts.replayed += 1;
+        const buffer = Buffer.from(recording.body || '', recording.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+        return { ...recording, buffer, body: buffer.toString('utf8') };
+    };
+
+    /**
+     * Wrap a fetcher's `fetch()`: in record mode every answered request is saved, in replay mode
+     * the recording is classified and returned the way the fetcher would have, and the network is
+     * never touched. A request without a recording comes back as a failed one.
+     */
+    const wrapFetch =
+        (fetch, { circuitBreaker } = {}) =>
+        async (request) => {
+            if (isReplaying) {
+                const recording = await load(request);
+                if (!recording) {
+                    circuitBreaker?.record(RESPONSE_CLASSES.error);
+                    return {
+                        statusCode: null,
+                        body: null,
+                        buffer: null,
+                        contentType: null,
+                        responseClass: RESPONSE_CLASSES.error,
+                        error: `No recording of ${request.url}`,
+                    };
+                }
+                const responseClass = classifyResponse({
+                    statusCode: recording.statusCode,
+                    body: recording.body,
+                    contentType: recording.contentType,
+                    label: request.label,
+                });
+                circuitBreaker?.record(responseClass);
+                return {
+                    statusCode: recording.statusCode,
+                    body: recording.body,
+                    buffer: recording.buffer,
+                    contentType: recording.contentType,
+                    url: recording.url,
+                    responseClass,
+                };
+            }
+
+            const result = await fetch(request);
+            if (isRecording && result.statusCode !== null) await save({ ...result, ...request });
+            return result;
+        };
+
+    return { mode, isRecording, isReplaying, save, load, wrapFetch, counts };
+};
@@ -0,0 +1,412 @@
+// Region resolution - turns Redfin start URLs into GIS region id / type / market
+import { areaId, describeArea } from './geo.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Redfin `region_type` values used by the GIS endpoint
+export const REGION_TYPES = {
+    neighborhood: 1,
+    zipcode: 2,
+    state: 4,
+    county: 5,
+    city: 6,
+};
+
+// URL kinds that carry the region id as the first path segment after the kind
+const ID_IN_PATH = ['city', 'neighborhood', 'county'];
+
+// State URLs use the state name (/state/New-York), home URLs the postal code (/NY/...)
+const STATE_CODES = {
+    'alabama': 'AL',
+    'alaska': 'AK',
+    'arizona': 'AZ',
+    'arkansas': 'AR',
+    'california': 'CA',
+    'colorado': 'CO',
+    'connecticut': 'CT',
+    'delaware': 'DE',
+    'district of columbia': 'DC',
+    'florida': 'FL',
+    'georgia': 'GA',
+    'hawaii': 'HI',
+    'idaho': 'ID',
+    'illinois': 'IL',
+    'indiana': 'IN',
+    'iowa': 'IA',
+    'kansas': 'KS',
+    'kentucky': 'KY',
+    'louisiana': 'LA',
+    'maine': 'ME',
+    'maryland': 'MD',
+    'massachusetts': 'MA',
+    'michigan': 'MI',
+    'minnesota': 'MN',
+    'mississippi': 'MS',
+    'missouri': 'MO',
+    'montana': 'MT',
+    'nebraska': 'NE',
+    'nevada': 'NV',
+    'new hampshire': 'NH',
+    'new jersey': 'NJ',
+    'new mexico': 'NM',
+    'new york': 'NY',
+    'north carolina': 'NC',
+    'north dakota': 'ND',
+    'ohio': 'OH',
+    'oklahoma': 'OK',
+    'oregon': 'OR',
+    'pennsylvania': 'PA',
+    'rhode island': 'RI',
+    'south carolina': 'SC',
+    'south dakota': 'SD',
+    'tennessee': 'TN',
+    'texas': 'TX',
+    'utah': 'UT',
+    'vermont': 'VT',
+    'virginia': 'VA',
+    'washington': 'WA',
+    'west virginia': 'WV',
+    'wisconsin': 'WI',
+    'wyoming': 'WY',
+};
+
+// ============================================================================
+// URL PARSING
+// ============================================================================
+
+/**
+ * Parse a Redfin search URL without touching the network.
+ * Zip code and state URLs do not carry a region id, so `regionId` stays null for them.
+ */
+export const parseRegionUrl = (url) => {
+    let pathname;
+    try {
+        ({ pathname } = new URL(url));
+    } catch {
+        return null;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const kindIndex = segments.findIndex((s) => Object.prototype.hasOwnProperty.call(REGION_TYPES, s.toLowerCase()));
+    if (kindIndex === -1) return null;
+
+    const kind = segments[kindIndex].toLowerCase();
+    const rest = segments.slice(kindIndex + 1);
+    const region = { kind, regionType: REGION_TYPES[kind], regionId: null, stateCode: null, name: null };
+
+    if (ID_IN_PATH.includes(kind)) {
+        if (!/^\d+$/.test(rest[0] || '')) return null;
+        [region.regionId, region.stateCode] = rest;
+        region.name = rest.slice(2).join(' ').replace(/-/g, ' ') || null;
+    } else if (kind === 'zipcode') {
+        if (!/^\d{5}$/.test(rest[0] || '')) return null;
+        [region.name] = rest;
+    } else if (kind === 'state') {
+        if (!rest[0]) return null;
+        region.name = rest[0].replace(/-/g, ' ');
+    }
+
+    return region;
+};
+
+/**
+ * Pull the region id and market out of a Redfin search page.
+ * The page embeds both in its server state and in the links of its own GIS calls.
+ */
+export const extractRegionFromHtml = (html) => {
+    if (!html) return { regionId: null, market: null };
+    const regionId =
+        html.match(/region_id=(\d+)/)?.[1] ||
+        html.match(/\\?"regionId\\?"\s*:\s*\\?"?(\d+)/)?.[1] ||
+        html.match(/\\?"region_id\\?"\s*:\s*\\?"?(\d+)/)?.[1] ||
+        null;
+    const market =
+        html.match(/[?&]market=([a-z_]+)/)?.[1] || html.match(/\\?"market\\?"\s*:\s*\\?"([a-z_]+)\\?"/)?.[1] || null;
+    return { regionId, market };
+};
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Collect the start URLs from the input: `startUrls` (strings or request objects),
+ * the legacy `cityUrl` and the single `startUrl`, deduplicated in that order.
+ */
+export const collectStartUrls = ({ startUrls, cityUrl, startUrl }) => {
+    const urls = [];
+    for (const entry of Array.isArray(startUrls) ? startUrls : []) {
+        const url = typeof entry === 'string' ? entry : entry?.url;
+        if (url && url.trim()) urls.push(url.trim());
+    }
+    if (cityUrl) urls.push(cityUrl.trim());
+    if (!urls.length && startUrl) urls.push(startUrl.trim());
+    return [...new Set(urls)];
+};
+
+/**
+ * Resolve one start URL to `{ url, kind, regionId, regionType, market }`.
+ * The search page is only fetched when the URL lacks the region id or the market is needed;
+ * `fetchHtml(url)` returns the page body or null.
+ */
+export const resolveRegion = async ({ url, fetchHtml, overrides = {} }) => {
+    const parsed = parseRegionUrl(url);
+    if (!parsed && !overrides.regionId) {
+        throw new Error(`Unsupported Redfin URL: ${url}. Use a /city/, /zipcode/, /neighborhood/, /county/ or /state/ URL.`);
+    }
+
+    const region = {
+        url,
+        kind: parsed?.kind || null,
+        name: parsed?.name || null,
+        stateCode: parsed?.stateCode || null,
+        regionId: overrides.regionId ? String(overrides.regionId) : parsed.regionId,
+        regionType: overrides.regionType || parsed?.regionType || REGION_TYPES.city,
+        market: null,
+    };
+
+    const html = await fetchHtml(url);
+    const fromPage = extractRegionFromHtml(html);
+    region.regionId = region.regionId || fromPage.regionId;
+    region.market = fromPage.market;
+
+    if (!region.regionId) {
+        throw new Error(`Could not resolve region ID for ${url}. Provide "regionId" or a URL with the ID in its path.`);
+    }
+
+    return region;
+};
+
+// ============================================================================
+// LOCATION AUTOCOMPLETE
+// ============================================================================
+
+// Best first when several kinds of place match a location equally well
+const KIND_PRIORITY = ['city', 'neighborhood', 'zipcode', 'county', 'state'];
+const STATE_NAMES = Object.fromEntries(Object.entries(STATE_CODES).map(([name, code]) => [code, name]));
+
+const toWords = (text) => (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+/**
+ * Read the region rows of a location-autocomplete answer (`{}&&{"payload":{"sections":[{"rows":[...]}]}}`)
+ * as `{ label, url, kind, regionId, regionType, exact }`. Addresses, schools and other non-region rows
+ * are left out. Returns null when the body is not an autocomplete payload.
+ */
+export const parseAutocompleteResponse = (body) => {
+    let payload;
+    try {
+        ({ payload } = JSON.parse(String(body || '').replace(/^{}&&/, '')));
+    } catch {
+        return null;
+    }
+    if (!payload) return null;
+
+    const toCandidate = (row, exact) => {
+        if (!row?.url) return null;
+        const url = new URL(row.url, 'https://www.redfin.com').toString();
+        const parsed = parseRegionUrl(url);
+        if (!parsed) return null;
+        return {
+            label: [row.name, row.subName].filter(Boolean).join(', '),
+            url,
+            kind: parsed.kind,
+            // Row ids read "<type>_<region id>"; zip code URLs do not carry the id themselves
+            regionId: parsed.regionId || String(row.id || '').split('_')[1] || null,
+            regionType: parsed.regionType,
+            exact,
+        };
+    };
+
+    const exactMatch = toCandidate(payload.exactMatch, true);
+    const rows = (payload.sections || []).flatMap((section) => section.rows || []);
+    const candidates = rows.map((row) => toCandidate(row, false)).filter(Boolean);
+    const others = candidates.filter((candidate) => candidate.url !== exactMatch?.url);
+    return exactMatch ? [exactMatch, ...others] : others;
+};
+
+// Every word of the location must appear in the candidate's label; "Texas" counts for "TX"
+const matchesLocation = (location, candidate) => {
+    const words = toWords(candidate.label);
+    const stateName = words.map((word) => STATE_NAMES[word.toUpperCase()]).find(Boolean);
+    const labelWords = new Set([...words, ...toWords(stateName)]);
+    return toWords(location).every((word) => labelWords.has(word));
+};
+
+/**
+ * Pick the region a free-text location means: Redfin's exact match when it has one, otherwise the
+ * matching candidate of the best kind (a zip code first for five digits, a city first otherwise).
+ * Throws with the candidate list when nothing matches or several places tie.
+ */
+export const pickLocationMatch = (location, candidates) => {
+    const exact = candidates.find((candidate) => candidate.exact);
+    if (exact) return exact;
+
+    const list = (items) => items.map((candidate) => `${candidate.label} (${candidate.kind})`).join('; ');
+    const matching = candidates.filter((candidate) => matchesLocation(location, candidate));
+    if (!matching.length) {
+        const known = candidates.length ? `. Candidates: ${list(candidates)}` : '';
+        throw new Error(`No Redfin region matches "${location}"${known}`);
+    }
+
+    const priority = /^\s*\d{5}\s*$/.test(location) ? ['zipcode', ...KIND_PRIORITY] : KIND_PRIORITY;
+    const rank = (candidate) => priority.indexOf(candidate.kind);
+    const bestRank = Math.min(...matching.map(rank));
+    const best = matching.filter((candidate) => rank(candidate) === bestRank);
+    if (best.length > 1) {
+        throw new Error(`"${location}" is ambiguous: ${list(best)}. Add the state or use a start URL.`);
+    }
+    return best[0];
+};
+
+/**
+ * Resolve a free-text location ("Austin, TX", "60614", "Capitol Hill, Seattle") to the Redfin search
+ * URL, region id and region type of the place it names. `fetchAutocomplete(location)` returns the body
+ * of Redfin's location-autocomplete answer or null.
+ */
+export const resolveLocation = async ({ location, fetchAutocomplete }) => {
+    const candidates = parseAutocompleteResponse(await fetchAutocomplete(location));
+    if (!candidates) throw new Error(`Could not look up location "${location}"`);
+    return pickLocationMatch(location, candidates);
+};
+
+/**
+ * A custom search area in place of a Redfin region. It has no URL or region id: the GIS calls
+ * send its outline as `poly`, and `regionId` holds a stable id derived from the shape.
+ */
+export const createAreaRegion = (area) => ({
+    url: null,
+    kind: 'area',
+    name: describeArea(area),
+    stateCode: null,
+    regionId: areaId(area),
+    regionType: area.kind,
+    market: null,
+    area,
+});
+
+// ============================================================================
+// PROPERTY LISTS
+// ============================================================================
+
+const REDFIN_BASE = 'https://www.redfin.com';
+
+// The numeric property id at the end of a home URL (`.../home/12345`)
+export const propertyIdFromUrl = (url) => String(url || '').match(/\/home\/(\d+)(?:[/?#]|$)/)?.[1] || null;
+
+const toPropertyUrl = (entry) => {
+    const value = String(typeof entry === 'object' && entry !== null ? entry.url ?? '' : entry ?? '').trim();
+    if (/^\d+$/.test(value)) return `${REDFIN_BASE}/home/${value}`;
+    let url;
+    try {
+        url = new URL(value, REDFIN_BASE);
+    } catch {
+        return null;
+    }
+    if (!/(?:^|\.)redfin\.com$/.test(url.hostname) || !propertyIdFromUrl(url.pathname)) return null;
+    return `${REDFIN_BASE}${url.pathname}`;
+};
+
+/**
+ * Property pages to scrape without a search, from Redfin home URLs (absolute or `/IL/.../home/123`)
+ * and numeric property ids, given as strings, numbers or request objects. Returns `{ urls, invalid }`:
+ * ids become `/home/<id>` URLs, and a property listed twice is kept once.
+ */
+export const collectPropertyUrls = (entries) => {
+    const byId = new Map();
+    const invalid = [];
+    for (const entry of Array.isArray(entries) ? entries : [entries]) {
+        if (entry === null || entry === undefined || entry === '') continue;
+        const url = toPropertyUrl(entry);
+        if (!url) invalid.push(typeof entry === 'object' ? entry.url : entry);
+        else if (!byId.has(propertyIdFromUrl(url))) byId.set(propertyIdFromUrl(url), url);
+    }
+    return { urls: [...byId.values()], invalid };
+};
+
+// A list of property pages in place of a search region; detail-only runs scrape exactly these
+export const createPropertyListRegion = (urls) => ({
+    url: null,
+    kind: 'properties',
+    name: `${urls.length} property pages`,
+    stateCode: null,
+    regionId: 'property-list',
+    regionType: null,
+    market: null,
+    propertyUrls: urls,
+});
+
+// ============================================================================
+// HOME URL MATCHING
+// ============================================================================
+
+const normalizeSegment = (segment) =>
+    decodeURIComponent(segment || '')
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-');
+
+// The postal code of the state a parsed region URL lies in, null when it does not say (zip codes)
+const stateCodeOf = (parsed) =>
+    (parsed.kind === 'state' ? STATE_CODES[parsed.name.toLowerCase()] : parsed.stateCode?.toUpperCase()) || null;
+
+/**
+ * Build a predicate telling whether a home URL (`/IL/Chicago/123-Main-St-60601/home/123`) lies in
+ * the region, judged by its state, city and zip path segments. Counties only narrow to the state,
+ * since home URLs do not name them. Returns null when the region URL says nothing usable.
+ */
+export const buildHomeUrlMatcher = (region) => {
+    const parsed = region?.url ? parseRegionUrl(region.url) : null;
+    if (!parsed) return null;
+
+    const stateCode = stateCodeOf(parsed);
+    let city = null;
+    let zip = null;
+    if (parsed.kind === 'zipcode') zip = parsed.name;
+    if (parsed.kind === 'city' || parsed.kind === 'neighborhood') {
+        // /city/29470/IL/Chicago and /neighborhood/1234/IL/Chicago/Lincoln-Park both name the city third
+        const segments = new URL(region.url).pathname.split('/').filter(Boolean);
+        city = normalizeSegment(segments[segments.findIndex((s) => s.toLowerCase() === parsed.kind) + 3]) || null;
+    }
+    if (!stateCode && !zip) return null;
+
+    return (url) => {
+        let segments;
+        try {
+            segments = new URL(url).pathname.split('/').filter(Boolean);
+        } catch {
+            return false;
+        }
+        const homeIndex = segments.indexOf('home');
+        if (homeIndex < 2) return false;
+        const [homeState, homeCity] = segments;
+        if (stateCode && homeState.toUpperCase() !== stateCode) return false;
+        if (city && normalizeSegment(homeCity) !== city) return false;
+        if (zip && !segments.slice(2, homeIndex).some((s) => s.endsWith(`-${zip}`) || s === zip)) return false;
+        return true;
+    };
+};
+
+/**
+ * The postal code of the state a region lies in, null when its URL does not name one (zip code and
+ * custom-area regions).
+ */
+export const regionStateCode = (region) => {
+    const parsed = region?.url ? parseRegionUrl(region.url) : null;
+    return parsed ? stateCodeOf(parsed) : null;
+};
+
+/**
+ * The postal code of the state a sitemap file is for, read off a file name of the form "<STATE>-<n>"
+ * ("homes/IL-1.xml.gz"); null for any other file name.
+ */
+export const sitemapStateCode = (sitemapUrl) => {
+    let name;
+    try {
+        name = new URL(sitemapUrl).pathname.split('/').pop();
+    } catch {
+        return null;
+    }
+    const code = name.match(/^([a-z]{2})-\d+\.xml(?:\.gz)?$/i)?.[1].toUpperCase();
+    return code && STATE_NAMES[code] ? code : null;
+};
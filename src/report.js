@@ -0,0 +1,243 @@
+// Market report - per-region and per-zip aggregates of the scraped records, with an optional HTML rendering
+import { classifyHomeType } from './filters.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MARKET_REPORT_KEY = 'MARKET_REPORT';
+export const MARKET_REPORT_HTML_KEY = 'MARKET_REPORT_HTML';
+
+const PRICE_PERCENTILES = [10, 25, 75, 90];
+
+// Days-on-market buckets as [label, upper bound in days]
+const DOM_BUCKETS = [
+    ['0-7', 7],
+    ['8-30', 30],
+    ['31-90', 90],
+    ['91-180', 180],
+    ['181+', Infinity],
+];
+
+// Bed counts at or above this are grouped together
+const MAX_BED_GROUP = 5;
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+const sortedNumbers = (values) => values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+
+// Linear interpolation between the closest ranks, the spreadsheet PERCENTILE.INC
+const percentile = (sorted, p) => {
+    if (!sorted.length) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const roundTo = (value, digits = 0) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const mean = (sorted) => (sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null);
+const median = (values) => roundTo(percentile(sortedNumbers(values), 50));
+const share = (part, whole) => (whole ? roundTo(part / whole, 3) : null);
+
+const countBy = (entries, keyOf) => {
+    const groups = {};
+    for (const entry of entries) {
+        const key = keyOf(entry);
+        (groups[key] ||= []).push(entry);
+    }
+    return Object.fromEntries(
+        Object.entries(groups).map(([key, group]) => [
+            key,
+            { count: group.length, medianPrice: median(group.map((item) => item.price)) },
+        ])
+    );
+};
+
+const bedGroup = ({ beds }) => {
+    if (!Number.isFinite(beds)) return 'unknown';
+    return beds >= MAX_BED_GROUP ? `${MAX_BED_GROUP}+` : String(beds);
+};
+
+/**
+ * Aggregates of a set of report entries: listing count, price statistics, median $/sqft,
+ * days on market by bucket, counts by property type and bed count, and the price-drop share
+ * among listings whose price history is known.
+ */
+export const summarizeListings = (entries) => {
+    const prices = sortedNumbers(entries.map((entry) => entry.price));
+    const days = sortedNumbers(entries.map((entry) => entry.daysOnMarket));
+    const withHistory = entries.filter((entry) => entry.priceDrop !== null);
+    const withPriceDrop = withHistory.filter((entry) => entry.priceDrop).length;
+    const daysBuckets = Object.fromEntries(DOM_BUCKETS.map(([label]) => [label, 0]));
+    for (const value of days) daysBuckets[DOM_BUCKETS.find(([, max]) => value <= max)[0]] += 1;
+
+    return {
+        listings: entries.length,
+        price: {
+            count: prices.length,
+            min: prices.length ? prices[0] : null,
+            max: prices.length ? prices[prices.length - 1] : null,
+            mean: roundTo(mean(prices)),
+            median: roundTo(percentile(prices, 50)),
+            ...Object.fromEntries(PRICE_PERCENTILES.map((p) => [`p${p}`, roundTo(percentile(prices, p))])),
+        },
+        medianPricePerSqft: median(entries.map((entry) => entry.pricePerSqft)),
+        daysOnMarket: {
+            count: days.length,
+            median: roundTo(percentile(days, 50)),
+            buckets: daysBuckets,
+        },
+        byPropertyType: countBy(entries, (entry) => entry.homeType || 'unknown'),
+        byBeds: countBy(entries, bedGroup),
+        priceDrops: {
+            withHistory: withHistory.length,
+            withPriceDrop,
+            share: share(withPriceDrop, withHistory.length),
+        },
+    };
+};
+
+// ============================================================================
+// PRICE DROPS
+// ============================================================================
+
+/**
+ * Whether the current listing was cut in price: a "Price Changed" event below the price before it,
+ * after the latest (re)listing. A monitor `priceDrop` change counts too. Null when neither is known.
+ */
+export const hasPriceDrop = (record, changes = []) => {
+    if (changes.some((change) => change.type === 'priceDrop')) return true;
+    if (!Array.isArray(record.priceHistory) || !record.priceHistory.length) return null;
+
+    const events = [...record.priceHistory].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    const listedAt = events.findLastIndex((event) => /\b(?:re)?listed\b/i.test(event.event || ''));
+    let lastPrice = null;
+    for (const event of events.slice(Math.max(0, listedAt))) {
+        if (!Number.isFinite(event.price)) continue;
+        if (lastPrice !== null && event.price < lastPrice && /price\s+(?:changed|drop|cut)/i.test(event.event || '')) {
+            return true;
+        }
+        lastPrice = event.price;
+    }
+    return false;
+};
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Collect the records of a run and build the MARKET_REPORT from them. Only the fields the report
+ * needs are kept per record; after a migration the saved rows are added again.
+ */
+export const createMarketReport = ({ searchMode }) => {
+    const regions = {};
+
+    const add = (record, region, changes) => {
+        const key = String(region.regionId);
+        regions[key] ||= { regionId: key, name: region.url || region.name, entries: [] };
+        regions[key].entries.push({
+            zip: record.zip ? String(record.zip) : 'unknown',
+            price: record.price,
+            pricePerSqft: record.pricePerSqft,
+            daysOnMarket: record.daysOnMarket,
+            homeType: classifyHomeType(record.propertyType),
+            beds: record.beds,
+            priceDrop: hasPriceDrop(record, changes),
+        });
+    };
+
+    const build = () => ({
+        generatedAt: new Date().toISOString(),
+        searchMode,
+        regions: Object.values(regions).map(({ regionId, name, entries }) => {
+            const zips = {};
+            for (const entry of entries) (zips[entry.zip] ||= []).push(entry);
+            return {
+                regionId,
+                name,
+                ...summarizeListings(entries),
+                zips: Object.entries(zips)
+                    .sort(([a, left], [b, right]) => right.length - left.length || a.localeCompare(b))
+                    .map(([zip, zipEntries]) => ({ zip, ...summarizeListings(zipEntries) })),
+            };
+        }),
+    });
+
+    return { add, build };
+};
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const money = (value) => (value === null ? '-' : `$${value.toLocaleString('en-US')}`);
+const percent = (value) => (value === null ? '-' : `${roundTo(value * 100, 1)}%`);
+
+const table = (headers, rows) =>
+    `<table><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr>${rows
+        .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('')}</table>`;
+
+const summaryRow = (label, stats) => [
+    label,
+    stats.listings,
+    money(stats.price.median),
+    money(stats.price.mean),
+    `${money(stats.price.p10)} - ${money(stats.price.p90)}`,
+    money(stats.medianPricePerSqft),
+    stats.daysOnMarket.median ?? '-',
+    percent(stats.priceDrops.share),
+];
+
+const SUMMARY_HEADERS = [
+    '',
+    'Listings',
+    'Median price',
+    'Mean price',
+    'P10 - P90',
+    'Median $/sqft',
+    'Median DOM',
+    'Price drops',
+];
+
+const groupTable = (title, groups) =>
+    `<h3>${escapeHtml(title)}</h3>${table(
+        ['', 'Listings', 'Median price'],
+        Object.entries(groups).map(([key, { count, medianPrice }]) => [key, count, money(medianPrice)])
+    )}`;
+
+/**
+ * The same report as a standalone HTML page: a summary row per region and per zip, then the
+ * days-on-market, property-type and bed-count breakdowns of each region.
+ */
+export const renderMarketReportHtml = (report) => {
+    const sections = report.regions.map(
+        (region) => `<section>
+<h2>${escapeHtml(region.name)}</h2>
+${table(SUMMARY_HEADERS, [summaryRow('All', region), ...region.zips.map((zip) => summaryRow(zip.zip, zip))])}
+<h3>Days on market</h3>${table(['', 'Listings'], Object.entries(region.daysOnMarket.buckets))}
+${groupTable('Property type', region.byPropertyType)}
+${groupTable('Beds', region.byBeds)}
+</section>`
+    );
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Redfin market report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+</style>
+</head><body>
+<h1>Redfin market report</h1>
+<p>${report.searchMode === 'sold' ? 'Sold homes' : 'Homes for sale'}, generated ${escapeHtml(report.generatedAt)}</p>
+${sections.join('\n')}
+</body></html>
+`;
+};
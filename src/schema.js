@@ -0,0 +1,117 @@
+// Output record schema - typed field normalization and per-record validation
+import { classifyListingStatus, LISTING_STATUSES } from './filters.js';
+import { parseMoney, toIsoDate } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const PRICE_CURRENCY = 'USD';
+
+const SQFT_PER_ACRE = 43560;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// HOA dues are reported per month; other periods are converted
+const HOA_PERIOD_MONTHS = [
+    [/semi-?annual|half[\s-]?year/i, 6],
+    [/year|annual|yr\b/i, 12],
+    [/quarter|qtr/i, 3],
+];
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+export const toInteger = (value) => {
+    const num = parseMoney(value);
+    return num === null ? null : Math.round(num);
+};
+
+/**
+ * "0.25 Acres" -> 10890, "5,000 Sq. Ft." -> 5000; bare numbers (GIS `lotSize`) are square feet.
+ */
+export const parseLotSizeSqft = (value) => {
+    const num = parseMoney(value);
+    if (num === null || num <= 0) return null;
+    if (typeof value === 'string' && /\bac(?:re)?s?\b/i.test(value)) return Math.round(num * SQFT_PER_ACRE);
+    return Math.round(num);
+};
+
+/**
+ * "$250/month" -> 250, "$900/quarter" -> 300, "$2,400 annually" -> 200; bare numbers are monthly.
+ */
+export const parseMonthlyHoa = (value) => {
+    const num = parseMoney(value);
+    if (num === null || num < 0) return null;
+    if (typeof value !== 'string') return num;
+    const period = HOA_PERIOD_MONTHS.find(([pattern]) => pattern.test(value));
+    return period ? Math.round((num / period[1]) * 100) / 100 : num;
+};
+
+const daysAgo = (days, now) => new Date(now - days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Listing dates come as calendar labels ("Listed on Jan 5, 2024") or as time on Redfin ("12 days");
+ * without either, the GIS days-on-market count dates the listing.
+ */
+export const parseListingDate = (value, { daysOnMarket, now = Date.now() } = {}) => {
+    const days = typeof value === 'string' ? value.match(/^\s*(\d+)\s+days?\b/i)?.[1] : null;
+    if (days) return daysAgo(Number(days), now);
+    const date = toIsoDate(value);
+    if (date) return date;
+    return Number.isFinite(daysOnMarket) && daysOnMarket >= 0 ? daysAgo(daysOnMarket, now) : null;
+};
+
+// One of LISTING_STATUSES; a record with a sale date and no readable status is sold
+export const normalizeStatus = (text, { soldDate } = {}) => classifyListingStatus(text) || (soldDate ? 'sold' : null);
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isNullOr = (check) => (value) => value === null || value === undefined || check(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const inRange = (min, max) => (value) => isNumber(value) && value >= min && value <= max;
+const isInteger = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+// Rejects impossible calendar dates such as 2024-02-30, which Date would roll over
+const isIsoDate = (value) => {
+    if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// `[field, rule name, check]`; every check must pass for a record to reach the dataset
+const RULES = [
+    ['propertyId', 'required', (value) => value !== null && value !== undefined && String(value).trim() !== ''],
+    ['url', 'redfinUrl', (value) => typeof value === 'string' && /^https:\/\/www\.redfin\.com\//.test(value)],
+    ['price', 'nonNegativeNumber', isNullOr(inRange(0, Number.MAX_SAFE_INTEGER))],
+    ['priceCurrency', 'currency', (value) => value === PRICE_CURRENCY],
+    ['beds', 'integer0to100', isNullOr(isInteger(0, 100))],
+    ['baths', 'number0to100', isNullOr(inRange(0, 100))],
+    ['sqft', 'positiveInteger', isNullOr(isInteger(1, Number.MAX_SAFE_INTEGER))],
+    ['lotSizeSqft', 'positiveInteger', isNullOr(isInteger(1, Number.MAX_SAFE_INTEGER))],
+    ['pricePerSqft', 'positiveNumber', isNullOr(inRange(Number.MIN_VALUE, Number.MAX_SAFE_INTEGER))],
+    ['hoa', 'nonNegativeNumber', isNullOr(inRange(0, Number.MAX_SAFE_INTEGER))],
+    ['yearBuilt', 'plausibleYear', isNullOr((value) => isInteger(1600, new Date().getFullYear() + 2)(value))],
+    ['daysOnMarket', 'nonNegativeInteger', isNullOr(isInteger(0, Number.MAX_SAFE_INTEGER))],
+    ['listingDate', 'isoDate', isNullOr(isIsoDate)],
+    ['soldDate', 'isoDate', isNullOr(isIsoDate)],
+    ['status', 'statusEnum', isNullOr((value) => LISTING_STATUSES.includes(value))],
+    ['latitude', 'latitude', isNullOr(inRange(-90, 90))],
+    ['longitude', 'longitude', isNullOr(inRange(-180, 180))],
+];
+
+/**
+ * Check a built record against the schema; returns the failed rules as `{ field, rule, value }`,
+ * an empty array for a valid record.
+ */
+export const validateProperty = (record) =>
+    RULES.filter(([field, , check]) => !check(record[field])).map(([field, rule]) => ({
+        field,
+        rule,
+        value: record[field] === undefined ? null : record[field],
+    }));
+
+// Short label for logs: "price (nonNegativeNumber), soldDate (isoDate)"
+export const describeFailures = (failures) => failures.map(({ field, rule }) => `${field} (${rule})`).join(', ');
@@ -0,0 +1,125 @@
+// Sitemap crawling - walks sitemap index files into (gzipped) child sitemaps, matching entries out of the
+// text without building a DOM
+import { gunzipSync } from 'node:zlib';
+
+import { log } from 'apify';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Redfin's indexes are large; this bounds one run's traversal
+const MAX_SITEMAPS = 50;
+
+// Where a child sitemap goes in the walk: ahead of the rest, in index order, or not at all
+export const SITEMAP_PRIORITIES = {
+    first: 'first',
+    normal: 'normal',
+    skip: 'skip',
+};
+
+const ENTRY_PATTERN = /<(url|sitemap)\b[^>]*>([\s\S]*?)<\/\1\s*>/g;
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+const readTag = (xml, tag) => {
+    const value = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}\\s*>`))?.[1];
+    if (!value) return null;
+    return value
+        .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .trim();
+};
+
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+/**
+ * Scan a fetched sitemap or sitemap index, gunzipping it when needed, and call `onEntry({ type, loc, lastmod })`
+ * for every `<url>` (type 'url') and `<sitemap>` (type 'sitemap'). `onEntry` returns false to stop.
+ */
+export const scanSitemap = (buffer, onEntry) => {
+    const xml = (isGzip(buffer) ? gunzipSync(buffer) : buffer).toString('utf8');
+    for (const [, type, body] of xml.matchAll(ENTRY_PATTERN)) {
+        const entry = { type, loc: readTag(body, 'loc'), lastmod: readTag(body, 'lastmod') };
+        if (entry.loc && onEntry(entry) === false) return;
+    }
+};
+
+// ============================================================================
+// TRAVERSAL
+// ============================================================================
+
+const isFreshEnough = (lastmod, updatedSince) => {
+    if (!updatedSince || !lastmod) return true;
+    const time = Date.parse(lastmod);
+    return Number.isNaN(time) || time >= updatedSince.getTime();
+};
+
+/**
+ * Collect up to `limit` home URLs accepted by `matchesUrl`, starting at `startUrl` and following
+ * index files breadth first. `prioritize(loc)` places each child sitemap (see SITEMAP_PRIORITIES):
+ * the ones marked first, and their own children, are walked before the rest, so the bounded walk
+ * spends itself on the region's part of the index. With `updatedSince`, child sitemaps and URLs whose
+ * `lastmod` is older are skipped; entries without `lastmod` are kept. `fetchSitemap(url)` resolves the
+ * fetcher result.
+ */
+export const collectSitemapUrls = async ({
+    startUrl,
+    fetchSitemap,
+    matchesUrl = () => true,
+    prioritize = () => SITEMAP_PRIORITIES.normal,
+    limit,
+    updatedSince,
+}) => {
+    const urls = [];
+    const preferred = [];
+    const queue = [startUrl];
+    const visited = new Set();
+    const skipped = { outside: 0, stale: 0, sitemaps: 0 };
+
+    while ((preferred.length || queue.length) && urls.length < limit && visited.size < MAX_SITEMAPS) {
+        const isPreferred = preferred.length > 0;
+        const sitemapUrl = isPreferred ? preferred.shift() : queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        const res = await fetchSitemap(sitemapUrl);
+        if (res.statusCode !== 200 || !res.buffer) {
+            log.warning(`⚠️ Sitemap ${sitemapUrl} unavailable (${res.responseClass || res.statusCode})`);
+            continue;
+        }
+
+        scanSitemap(res.buffer, ({ type, loc, lastmod }) => {
+            if (!isFreshEnough(lastmod, updatedSince)) {
+                if (type === 'url') skipped.stale += 1;
+                return true;
+            }
+            if (type === 'sitemap') {
+                const priority = prioritize(loc);
+                if (priority === SITEMAP_PRIORITIES.skip) skipped.sitemaps += 1;
+                else if (priority === SITEMAP_PRIORITIES.first || isPreferred) preferred.push(loc);
+                else queue.push(loc);
+                return true;
+            }
+            if (!loc.includes('/home/')) return true;
+            if (!matchesUrl(loc)) {
+                skipped.outside += 1;
+                return true;
+            }
+            urls.push(loc);
+            return urls.length < limit;
+        });
+    }
+
+    log.info(
+        `📍 Sitemaps: ${visited.size} read, ${skipped.sitemaps} of other areas skipped, ${urls.length} matching` +
+            ` home URLs (${skipped.outside} outside the region, ${skipped.stale} not updated since the cutoff)`
+    );
+    return urls;
+};
@@ -0,0 +1,53 @@
+// Crawl state persistence - lets a migrated or restarted run resume where it stopped
+import { Actor, log } from 'apify';
+
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+
+/**
+ * Read the cursor saved by a previous container of this run, if any.
+ */
+export const loadCrawlState = async () => {
+    const state = await Actor.getValue(CRAWL_STATE_KEY);
+    if (state) {
+        log.info(
+            `♻️ Resuming from saved state: region ${state.cursor.regionIndex + 1}, method ${state.cursor.method}, ` +
+                `page ${state.cursor.page}, ${Object.values(state.claimedIds).flat().length} listings already taken on`
+        );
+    }
+    return state || null;
+};
+
+/**
+ * Save `getState()` on the platform's `persistState` and `migrating` events.
+ * `onMigrating` runs, and is awaited, before the state is written so the caller stops producing rows
+ * that the saved cursor would not know about and can push the ones it holds.
+ */
+export const createStatePersister = ({ getState, onMigrating }) => {
+    // Runs as an event handler, so a failed write (an oversized state, a storage hiccup) is logged, not thrown;
+    // the previous state stays in place and the next persist tries again
+    const persist = async () => {
+        try {
+            await Actor.setValue(CRAWL_STATE_KEY, getState());
+        } catch (err) {
+            log.warning(`💾 Could not save the crawl state: ${err.message}`);
+        }
+    };
+
+    const handleMigrating = async () => {
+        await onMigrating?.();
+        await persist();
+        log.info('🚚 Migration in progress: crawl state saved, pausing until the run restarts');
+    };
+
+    Actor.on('persistState', persist);
+    Actor.on('migrating', handleMigrating);
+
+    // Once the run has finished there is nothing left to resume
+    const clear = async () => {
+        Actor.off('persistState', persist);
+        Actor.off('migrating', handleMigrating);
+        await Actor.setValue(CRAWL_STATE_KEY, null);
+    };
+
+    return { persist, clear };
+};
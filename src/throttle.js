@@ -0,0 +1,102 @@
+// Adaptive rate control - one request pace shared by every HTTP call, steered by 429 answers
+import { log } from 'apify';
+
+import { sleep } from './utils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// 429s closer together than this count as a cluster and slow the whole run down
+const CLUSTER_WINDOW_MS = 60000;
+const CLUSTER_SIZE = 3;
+// After this many successes in a row the pace goes back up one step
+const SPEEDUP_STREAK = 25;
+const SLOWDOWN_FACTOR = 0.5;
+const SPEEDUP_FACTOR = 1.25;
+const MIN_REQUESTS_PER_MINUTE = 6;
+
+const BACKOFF_BASE_MS = 2000;
+// Pauses run inside the crawler's error handler, which Crawlee times out after five minutes
+const MAX_PAUSE_MS = 120000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date, into milliseconds.
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(Array.isArray(value) ? value[0] : value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const withJitter = (ms) => Math.round(ms / 2 + Math.random() * (ms / 2));
+
+// ============================================================================
+// THROTTLE
+// ============================================================================
+
+/**
+ * Pace requests at `maxRequestsPerMinute` at most. A 429 pauses everything for its Retry-After
+ * (or an exponential backoff with jitter), a cluster of 429s halves the pace, and a run of
+ * successes raises it again until it is back at the configured maximum.
+ */
+export const createThrottle = ({ maxRequestsPerMinute = 120 } = {}) => {
+    const maxRate = Math.max(1, maxRequestsPerMinute);
+    const minRate = Math.min(maxRate, MIN_REQUESTS_PER_MINUTE);
+    const stats = { rateLimited: 0, slowdowns: 0, speedups: 0 };
+
+    let rate = maxRate;
+    let nextSlotAt = 0;
+    let pausedUntil = 0;
+    let consecutiveRateLimits = 0;
+    let successStreak = 0;
+    let recentRateLimits = [];
+
+    // Resolves when the caller may send its request; slots are handed out in call order
+    const acquire = async () => {
+        const now = Date.now();
+        const startAt = Math.max(now, nextSlotAt, pausedUntil);
+        nextSlotAt = startAt + 60000 / rate;
+        if (startAt > now) await sleep(startAt - now);
+    };
+
+    const onRateLimited = (retryAfterMs) => {
+        const now = Date.now();
+        stats.rateLimited += 1;
+        successStreak = 0;
+        consecutiveRateLimits += 1;
+
+        const backoff = withJitter(BACKOFF_BASE_MS * 2 ** (consecutiveRateLimits - 1));
+        const pause = Math.min(MAX_PAUSE_MS, retryAfterMs ?? backoff);
+        pausedUntil = Math.max(pausedUntil, now + pause);
+
+        recentRateLimits = [...recentRateLimits.filter((at) => now - at < CLUSTER_WINDOW_MS), now];
+        if (recentRateLimits.length >= CLUSTER_SIZE && rate > minRate) {
+            rate = Math.max(minRate, Math.round(rate * SLOWDOWN_FACTOR));
+            recentRateLimits = [];
+            stats.slowdowns += 1;
+            log.warning(`🐢 Rate limited repeatedly: slowing down to ${rate} requests/minute`);
+        }
+        log.info(`⏳ Rate limited: pausing requests for ${(pause / 1000).toFixed(1)}s`);
+    };
+
+    const onSuccess = () => {
+        consecutiveRateLimits = 0;
+        successStreak += 1;
+        if (successStreak < SPEEDUP_STREAK || rate >= maxRate) return;
+        successStreak = 0;
+        rate = Math.min(maxRate, Math.round(rate * SPEEDUP_FACTOR));
+        stats.speedups += 1;
+        log.info(`🐇 ${SPEEDUP_STREAK} requests without a rate limit: speeding up to ${rate} requests/minute`);
+    };
+
+    const getStats = () => ({ requestsPerMinute: rate, ...stats });
+
+    return { acquire, onRateLimited, onSuccess, getStats };
+};
@@ -0,0 +1,79 @@
+// Exhaustive search - splits a search that hits the GIS result cap into smaller tiles until none does
+import { boundingBoxArea, describeArea } from './geo.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const TILING_STRATEGIES = {
+    price: 'price',
+    quadrants: 'quadrants',
+};
+
+// A tile still saturated this many splits down is reported as not covered instead of split further
+const MAX_TILE_DEPTH = 8;
+
+// ============================================================================
+// TILES
+// ============================================================================
+
+/**
+ * The whole search as one tile: `{ bbox, minPrice, maxPrice, depth }`. Quadrant tiles need an outline
+ * to split, so they start from the bounding box of a custom search area; price tiles start from the
+ * price filter, null bounds being open.
+ */
+export const createRootTile = ({ region, filters, strategy }) => ({
+    bbox: strategy === TILING_STRATEGIES.quadrants ? region.area.bbox : null,
+    minPrice: filters.minPrice ?? null,
+    maxPrice: filters.maxPrice ?? null,
+    depth: 0,
+});
+
+const splitQuadrants = (tile) => {
+    const [west, south, east, north] = tile.bbox;
+    const lng = (west + east) / 2;
+    const lat = (south + north) / 2;
+    return [
+        [west, south, lng, lat],
+        [lng, south, east, lat],
+        [west, lat, lng, north],
+        [lng, lat, east, north],
+    ].map((bbox) => ({ ...tile, bbox, depth: tile.depth + 1 }));
+};
+
+// Splits at the median price of the saturated answer, so each half holds about half of what it returned
+const splitPriceBand = (tile, prices) => {
+    const low = tile.minPrice ?? 0;
+    const sorted = prices.filter((price) => Number.isFinite(price) && price >= low).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const cut = Math.round(median > low ? median : (sorted.find((price) => price > low) ?? low));
+    // A zero bound is no bound to the GIS endpoint, so the lower band must end above it
+    if (cut <= Math.max(low, 1)) return null;
+    return [
+        { ...tile, maxPrice: cut - 1, depth: tile.depth + 1 },
+        { ...tile, minPrice: cut, depth: tile.depth + 1 },
+    ];
+};
+
+/**
+ * Split a tile whose answer hit the result cap; `prices` are the prices of the homes it returned.
+ * Returns null when the tile cannot be split any further (too deep, or every home at one price).
+ */
+export const splitTile = (tile, { strategy, prices = [] }) => {
+    if (tile.depth >= MAX_TILE_DEPTH) return null;
+    return strategy === TILING_STRATEGIES.quadrants ? splitQuadrants(tile) : splitPriceBand(tile, prices);
+};
+
+// The region and filters a tile is searched with: its box replaces the area outline, its band the price filter
+export const applyTile = ({ region, filters, tile }) => ({
+    region: tile.bbox ? { ...region, area: boundingBoxArea(tile.bbox) } : region,
+    filters: { ...filters, minPrice: tile.minPrice, maxPrice: tile.maxPrice },
+});
+
+const formatPrice = (price) => `$${price.toLocaleString('en-US')}`;
+
+export const describeTile = (tile) => {
+    let band = `${formatPrice(tile.minPrice ?? 0)}-${formatPrice(tile.maxPrice ?? 0)}`;
+    if (tile.maxPrice === null) band = tile.minPrice === null ? 'any price' : `${formatPrice(tile.minPrice)}+`;
+    return tile.bbox ? `${describeArea(boundingBoxArea(tile.bbox))}, ${band}` : band;
+};
@@ -0,0 +1,64 @@
+// Shared text / number / date normalization helpers
+
+export const sleep = (ms) =>
+    new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+
+export const cleanText = (text) => {
+    if (!text) return null;
+    return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Whether a page label is one of `terms` (lower case). The whole label has to match, a trailing colon or
+ * note in parentheses aside ("Lot Size (Acres):"), so "Listed By" or "HOA Status" do not pass for
+ * "listed" or "status".
+ */
+export const matchesLabel = (label, terms) => {
+    const text = cleanText(label)
+        ?.toLowerCase()
+        .replace(/\s*:$/, '')
+        .replace(/\s*\([^)]*\)$/, '');
+    return Boolean(text) && terms.includes(text);
+};
+
+const MONEY_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse "$350,000", "$1.2M", "350000" or a number into a number.
+ * Only the first figure counts, so ranges like "$350K–$400K" yield the lower bound.
+ */
+export const parseMoney = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const match = String(value).match(/(-?\d[\d,]*(?:\.\d+)?)\s*([kmb])?\b/i);
+    if (!match) return null;
+    const parsed = parseFloat(match[1].replace(/,/g, ''));
+    if (!Number.isFinite(parsed)) return null;
+    return match[2] ? parsed * MONEY_SUFFIXES[match[2].toLowerCase()] : parsed;
+};
+
+/**
+ * Accepts epoch milliseconds, ISO strings and labels like "Dec 1, 2023" or "Sold on Dec 1, 2023";
+ * returns YYYY-MM-DD or null.
+ */
+export const toIsoDate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+
+    const text = String(value)
+        .trim()
+        .replace(/^(sold|listed)\s+(on\s+)?/i, '');
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+    // Calendar labels parse as local midnight, so read them back with local getters
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) return null;
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
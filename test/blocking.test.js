@@ -0,0 +1,121 @@
+// Block detection - response classification and the circuit breaker's trip, cooldown and half-open trial
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+
+import { log } from 'apify';
+
+import {
+    ClassifiedResponseError,
+    classifyError,
+    classifyResponse,
+    createCircuitBreaker,
+    RESPONSE_CLASSES,
+} from '../src/blocking.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+const CAPTCHA_PAGE =
+    '<html><head><title>Access to this page has been denied</title></head><body><div id="px-captcha">Press &amp; Hold to confirm you are a human</div></body></html>';
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('classifyResponse reads the status code first', () => {
+    assert.equal(classifyResponse({ statusCode: 429 }), RESPONSE_CLASSES.rateLimited);
+    assert.equal(classifyResponse({ statusCode: 404 }), RESPONSE_CLASSES.notFound);
+    assert.equal(classifyResponse({ statusCode: 410 }), RESPONSE_CLASSES.notFound);
+    assert.equal(classifyResponse({ statusCode: 503 }), RESPONSE_CLASSES.error);
+    assert.equal(classifyResponse({ statusCode: 403, body: 'Forbidden' }), RESPONSE_CLASSES.blocked);
+    assert.equal(classifyResponse({ statusCode: 403, body: CAPTCHA_PAGE }), RESPONSE_CLASSES.captcha);
+});
+
+test('classifyResponse tells block and captcha pages served with a 200 from real ones', () => {
+    const gis = '{}&&{"resultCode":0,"payload":{"homes":[]}}';
+
+    assert.equal(classifyResponse({ statusCode: 200, body: gis, label: 'GIS' }), RESPONSE_CLASSES.ok);
+    assert.equal(classifyResponse({ statusCode: 200, body: CAPTCHA_PAGE, label: 'GIS' }), RESPONSE_CLASSES.captcha);
+    assert.equal(
+        classifyResponse({ statusCode: 200, body: '<h1>Access Denied</h1>', label: 'DETAIL' }),
+        RESPONSE_CLASSES.blocked
+    );
+    assert.equal(classifyResponse({ statusCode: 200, body: '', label: 'DETAIL' }), RESPONSE_CLASSES.blocked);
+    assert.equal(
+        classifyResponse({ statusCode: 200, body: '<html><body>Hello</body></html>', label: 'DETAIL' }),
+        RESPONSE_CLASSES.unknownLayout
+    );
+});
+
+test('classifyResponse trusts the layout marker over a passing mention of a captcha', () => {
+    const page = '<script type="application/ld+json">{}</script><form>Solve the captcha to log in</form>';
+
+    assert.equal(classifyResponse({ statusCode: 200, body: page, label: 'DETAIL' }), RESPONSE_CLASSES.ok);
+    assert.equal(
+        classifyResponse({ statusCode: 200, body: '\x1f\x8b', contentType: 'application/x-gzip', label: 'SITEMAP' }),
+        RESPONSE_CLASSES.ok
+    );
+});
+
+test('classifyError maps crawler errors back to a class', () => {
+    assert.equal(
+        classifyError(new ClassifiedResponseError(RESPONSE_CLASSES.captcha, 'https://www.redfin.com/', 200)),
+        RESPONSE_CLASSES.captcha
+    );
+    assert.equal(classifyError(new Error('Request blocked - received 403 status code.')), RESPONSE_CLASSES.blocked);
+    assert.equal(classifyError(new Error('429 - Too Many Requests')), RESPONSE_CLASSES.rateLimited);
+    assert.equal(classifyError(new Error('500 - Internal Server Error: oops')), RESPONSE_CLASSES.error);
+    assert.equal(classifyError(new Error('socket hang up')), RESPONSE_CLASSES.error);
+});
+
+test('the circuit breaker opens after the threshold of consecutive blocks', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldownMs: 60000 });
+
+    breaker.record(RESPONSE_CLASSES.blocked);
+    breaker.record(RESPONSE_CLASSES.captcha);
+    // Not-found and errors neither count nor reset the run
+    breaker.record(RESPONSE_CLASSES.notFound);
+    assert.equal(breaker.isOpen(), false);
+
+    breaker.record(RESPONSE_CLASSES.blocked);
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.getTrips(), 1);
+    assert.equal(breaker.counts.blocked, 2);
+    assert.equal(breaker.counts.captcha, 1);
+});
+
+test('an ok answer resets the run of blocks', () => {
+    const breaker = createCircuitBreaker({ threshold: 3 });
+
+    breaker.record(RESPONSE_CLASSES.blocked);
+    breaker.record(RESPONSE_CLASSES.blocked);
+    breaker.record(RESPONSE_CLASSES.ok);
+    breaker.record(RESPONSE_CLASSES.blocked);
+    breaker.record(RESPONSE_CLASSES.blocked);
+
+    assert.equal(breaker.isOpen(), false);
+    assert.equal(breaker.getTrips(), 0);
+});
+
+test('after the cooldown one trial request decides: a block reopens, an ok closes', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldownMs: 60000 });
+    for (let i = 0; i < 3; i += 1) breaker.record(RESPONSE_CLASSES.blocked);
+
+    mock.timers.tick(59999);
+    assert.equal(breaker.isOpen(), true);
+    mock.timers.tick(1);
+    assert.equal(breaker.isOpen(), false);
+
+    breaker.record(RESPONSE_CLASSES.blocked);
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.getTrips(), 2);
+
+    mock.timers.tick(60000);
+    assert.equal(breaker.isOpen(), false);
+    breaker.record(RESPONSE_CLASSES.ok);
+    breaker.record(RESPONSE_CLASSES.blocked);
+    assert.equal(breaker.isOpen(), false);
+});
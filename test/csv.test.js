@@ -0,0 +1,68 @@
+// CSV download - RFC 4180 parsing and the Redfin export mapping
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { parseCsv, parseRedfinCsv } from '../src/csv.js';
+
+const HEADER = [
+    'SALE TYPE',
+    'SOLD DATE',
+    'PROPERTY TYPE',
+    'ADDRESS',
+    'CITY',
+    'STATE OR PROVINCE',
+    'ZIP OR POSTAL CODE',
+    'PRICE',
+    'BEDS',
+    'BATHS',
+    'SQUARE FEET',
+    'URL (SEE https://www.redfin.com/buy-a-home/comparative-market-analysis FOR INFO ON PRICING)',
+    'MLS#',
+    'LATITUDE',
+    'LONGITUDE',
+].join(',');
+
+test('parseCsv reads quoted commas, doubled quotes and line breaks inside quotes', () => {
+    const rows = parseCsv('a,b,c\r\n"1,5","say ""hi""","two\r\nlines"\r\n');
+
+    assert.deepEqual(rows, [
+        ['a', 'b', 'c'],
+        ['1,5', 'say "hi"', 'two\r\nlines'],
+    ]);
+});
+
+test('parseCsv accepts CRLF, LF, a BOM, a missing final newline and skips blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n1,2\n\n3,4'), [
+        ['a', 'b'],
+        ['1', '2'],
+        ['3', '4'],
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('parseRedfinCsv maps rows onto GIS listing fields and drops disclaimer rows', () => {
+    const text = [
+        HEADER,
+        'MLS Listing,,Condo/Co-op,"1550 N Lake Shore Dr #12A",Chicago,IL,60610,"685,000",2,2,"1,620",https://www.redfin.com/IL/Chicago/1550-N-Lake-Shore-Dr-60610/unit-12A/home/88888,11950000,41.9115,-87.6254',
+        'PAST SALE,September-15-2023,Single Family Residential,2121 W Roscoe St,Chicago,IL,60618,925000,4,3.5,2800,https://www.redfin.com/IL/Chicago/2121-W-Roscoe-St-60618/home/12121,,41.9432,-87.6812',
+        '"In accordance with local MLS rules, some MLS listings are not included in the download"',
+    ].join('\r\n');
+
+    const [condo, sold, ...rest] = parseRedfinCsv(text);
+
+    assert.equal(rest.length, 0);
+    assert.equal(condo.propertyId, '88888');
+    assert.equal(condo.address, '1550 N Lake Shore Dr #12A');
+    assert.equal(condo.price, 685000);
+    assert.equal(condo.sqFt, 1620);
+    assert.equal(condo.mlsNumber, '11950000');
+    assert.equal(condo.soldDate, null);
+    assert.equal(sold.soldDate, '2023-09-15');
+    assert.equal(sold.baths, 3.5);
+    assert.equal(sold.lat, 41.9432);
+});
+
+test('parseRedfinCsv returns null for text that is not a Redfin export', () => {
+    assert.equal(parseRedfinCsv('name,price\r\nfoo,1\r\n'), null);
+    assert.equal(parseRedfinCsv(''), null);
+});
@@ -0,0 +1,139 @@
+// Valuation enrichment - AVM and rental estimate answers, and lookups that fail or find no estimate
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { log } from 'apify';
+
+import { RESPONSE_CLASSES } from '../src/blocking.js';
+import { createEstimateFetcher, parseAvmResponse, parseRentalEstimateResponse } from '../src/estimates.js';
+import { REQUEST_LABELS } from '../src/fetcher.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+const AVM_ENDPOINT = 'https://www.redfin.com/stingray/api/home/details/avm';
+const RENTAL_ENDPOINT = 'https://www.redfin.com/stingray/api/home/details/rental-estimate';
+
+const stingray = (payload, resultCode = 0) => `{}&&${JSON.stringify({ resultCode, errorMessage: 'Success', payload })}`;
+
+const AVM_ANSWER = stingray({ predictedValue: 912345.6, predictedValueLow: 870000, predictedValueHigh: '$955K' });
+const RENTAL_ANSWER = stingray({
+    rentalEstimateInfo: { predictedValue: 4200, predictedValueLow: 3900, predictedValueHigh: 4500 },
+});
+
+// Answers like the fetcher, with `answers[label]` as the body or the whole response, and keeps each request
+const fakeFetchPage = (answers) => {
+    const requests = [];
+    const fetchPage = async ({ url, label }) => {
+        requests.push({ url, label });
+        const answer = answers[label];
+        if (answer instanceof Error) throw answer;
+        if (typeof answer === 'string') return { statusCode: 200, responseClass: RESPONSE_CLASSES.ok, body: answer };
+        return answer;
+    };
+    return { requests, fetchPage };
+};
+
+const createFetcher = (answers) => {
+    const { requests, fetchPage } = fakeFetchPage(answers);
+    const estimates = createEstimateFetcher({
+        fetchPage,
+        avmEndpoint: AVM_ENDPOINT,
+        rentalEstimateEndpoint: RENTAL_ENDPOINT,
+    });
+    return { ...estimates, requests };
+};
+
+test('parseAvmResponse reads the estimate and its range', () => {
+    assert.deepEqual(parseAvmResponse(AVM_ANSWER), { estimate: 912346, low: 870000, high: 955000 });
+    // Without the stingray prefix, and without a range
+    assert.deepEqual(parseAvmResponse(JSON.stringify({ payload: { predictedValue: 500000 } })), {
+        estimate: 500000,
+        low: null,
+        high: null,
+    });
+});
+
+test('parseAvmResponse gives null for a home without an estimate, an error result or a garbled answer', () => {
+    const unavailable = stingray({ predictedValue: null, sectionPreviewText: 'Estimate unavailable' });
+
+    assert.equal(parseAvmResponse(unavailable), null);
+    assert.equal(parseAvmResponse(stingray({ predictedValue: 0 })), null);
+    assert.equal(parseAvmResponse(stingray({})), null);
+    assert.equal(parseAvmResponse(stingray(null)), null);
+    assert.equal(parseAvmResponse(stingray({ predictedValue: 912345 }, 101)), null);
+    assert.equal(parseAvmResponse('<html>Access denied</html>'), null);
+    assert.equal(parseAvmResponse(''), null);
+});
+
+test('parseRentalEstimateResponse reads the estimate under rentalEstimateInfo', () => {
+    assert.deepEqual(parseRentalEstimateResponse(RENTAL_ANSWER), { estimate: 4200, low: 3900, high: 4500 });
+    assert.deepEqual(parseRentalEstimateResponse(stingray({ predictedValue: 2800 })).estimate, 2800);
+    assert.equal(parseRentalEstimateResponse(stingray({ rentalEstimateInfo: { predictedValue: 4200 } }, 1)), null);
+});
+
+test('fetchEstimates looks up both estimates and compares the list price with the Redfin Estimate', async () => {
+    const { fetchEstimates, counts, requests } = createFetcher({
+        [REQUEST_LABELS.avm]: AVM_ANSWER,
+        [REQUEST_LABELS.rentalEstimate]: RENTAL_ANSWER,
+    });
+
+    const estimates = await fetchEstimates({
+        propertyId: null,
+        url: 'https://www.redfin.com/IL/Chicago/2121-W-Roscoe-St-60618/home/12121',
+        price: 880000,
+        lastListPrice: 949000,
+    });
+
+    assert.deepEqual(estimates, {
+        redfinEstimate: 912346,
+        redfinEstimateLow: 870000,
+        redfinEstimateHigh: 955000,
+        rentalEstimate: 4200,
+        rentalEstimateLow: 3900,
+        rentalEstimateHigh: 4500,
+        listPriceVsEstimate: 36654,
+        listPriceVsEstimatePercent: 4,
+    });
+    assert.deepEqual(requests, [
+        { url: `${AVM_ENDPOINT}?propertyId=12121&accessLevel=1`, label: REQUEST_LABELS.avm },
+        { url: `${RENTAL_ENDPOINT}?propertyId=12121&accessLevel=1`, label: REQUEST_LABELS.rentalEstimate },
+    ]);
+    assert.deepEqual(counts, { estimated: 1, rentalEstimated: 1, failed: 0 });
+});
+
+test('fetchEstimates leaves the fields of a home without an estimate null', async () => {
+    const { fetchEstimates, counts } = createFetcher({
+        [REQUEST_LABELS.avm]: stingray({ predictedValue: null }),
+        [REQUEST_LABELS.rentalEstimate]: RENTAL_ANSWER,
+    });
+
+    const estimates = await fetchEstimates({ propertyId: 12121, price: 880000 });
+
+    assert.equal(estimates.redfinEstimate, null);
+    assert.equal(estimates.listPriceVsEstimate, null);
+    assert.equal(estimates.listPriceVsEstimatePercent, null);
+    assert.equal(estimates.rentalEstimate, 4200);
+    // No estimate is an answer, not a failure
+    assert.deepEqual(counts, { estimated: 0, rentalEstimated: 1, failed: 0 });
+});
+
+test('fetchEstimates counts failed lookups and never throws', async () => {
+    const { fetchEstimates, counts } = createFetcher({
+        [REQUEST_LABELS.avm]: { statusCode: 403, responseClass: RESPONSE_CLASSES.captcha },
+        [REQUEST_LABELS.rentalEstimate]: new Error('socket hang up'),
+    });
+
+    const estimates = await fetchEstimates({ propertyId: 12121, price: 880000 });
+
+    assert.ok(Object.values(estimates).every((value) => value === null));
+    assert.deepEqual(counts, { estimated: 0, rentalEstimated: 0, failed: 2 });
+});
+
+test('fetchEstimates skips a home without a Redfin id', async () => {
+    const { fetchEstimates, requests } = createFetcher({});
+
+    const estimates = await fetchEstimates({ propertyId: 'abc', url: 'https://www.redfin.com/IL/Chicago' });
+
+    assert.ok(Object.values(estimates).every((value) => value === null));
+    assert.deepEqual(requests, []);
+});
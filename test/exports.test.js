@@ -0,0 +1,66 @@
+// Export formats - CSV escaping and column order, GeoJSON points, JSONL lines
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { parseCsv } from '../src/csv.js';
+import { EXPORT_COLUMNS, flattenRow, toCsv, toGeoJson, toJsonl } from '../src/exports.js';
+
+const ROW = {
+    propertyId: '61616',
+    url: 'https://www.redfin.com/IL/Chicago/1910-W-Division-St-60622/home/61616',
+    price: 1195000,
+    description: 'Greystone with a "garden" unit,\r\nnew roof',
+    latitude: 41.9032,
+    longitude: -87.6766,
+    listingAgent: { name: 'Jane Doe', brokerage: 'Compass' },
+    facts: { 'Key Details': { Status: 'Active' } },
+    notAColumn: 'left out',
+};
+
+test('toCsv writes a CRLF header of EXPORT_COLUMNS and escapes quotes, commas and line breaks', () => {
+    const csv = toCsv([ROW]);
+    const [header, line] = csv.split('\r\n');
+
+    assert.equal(header, EXPORT_COLUMNS.join(','));
+    assert.ok(line.startsWith(`61616,${ROW.url},,`));
+    assert.ok(csv.includes('"Greystone with a ""garden"" unit,\r\nnew roof"'));
+    assert.ok(csv.includes('"{""Key Details"":{""Status"":""Active""}}"'));
+    assert.ok(csv.endsWith('\r\n'));
+    assert.ok(!csv.includes('left out'));
+});
+
+test('toCsv output reads back to the flattened row', () => {
+    const [header, cells] = parseCsv(toCsv([ROW]));
+    const read = Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+
+    assert.equal(read.description, ROW.description);
+    assert.equal(read['listingAgent.name'], 'Jane Doe');
+    assert.equal(read['listingAgent.phone'], '');
+    assert.equal(read.price, '1195000');
+});
+
+test('flattenRow gives a column per agent and feature key, in EXPORT_COLUMNS order', () => {
+    const flat = flattenRow(ROW);
+
+    assert.deepEqual(Object.keys(flat), EXPORT_COLUMNS);
+    assert.equal(flat['listingAgent.brokerage'], 'Compass');
+    assert.equal(flat['features.hasPool'], null);
+    assert.deepEqual(flat.facts, ROW.facts);
+});
+
+test('toGeoJson makes a [longitude, latitude] point per row with coordinates', () => {
+    const collection = toGeoJson([ROW, { ...ROW, propertyId: '62626', latitude: null }]);
+
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.equal(collection.features.length, 1);
+    assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [-87.6766, 41.9032] });
+    assert.deepEqual(collection.features[0].properties, flattenRow(ROW));
+});
+
+test('toJsonl writes one JSON row per line', () => {
+    const lines = toJsonl([ROW, { propertyId: '62626' }]).split('\n');
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(JSON.parse(lines[0]), ROW);
+    assert.equal(lines[2], '');
+});
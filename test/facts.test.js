@@ -0,0 +1,98 @@
+// Property facts - the normalized features derived from the facts and amenities area
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { deriveFeatures } from '../src/facts.js';
+
+const UNKNOWN = {
+    garageSpaces: null,
+    hasGarage: null,
+    hasPool: null,
+    hasBasement: null,
+    fireplaces: null,
+    hasFireplace: null,
+    hasCentralAir: null,
+    hasLaundry: null,
+};
+
+test('deriveFeatures reads each feature off the facts that mention it', () => {
+    const facts = {
+        'Parking / Garage Information': { 'Garage Spaces': '2', 'Parking Features': 'Garage, Alley Access' },
+        'Interior Features': {
+            Basement: 'Full, Finished',
+            '# of Fireplaces': '1',
+            'Laundry Features': 'In Unit',
+            'Central Air': true,
+        },
+        'Exterior Features': { 'Pool Features': 'In Ground, Heated' },
+    };
+
+    assert.deepEqual(deriveFeatures(facts), {
+        garageSpaces: 2,
+        hasGarage: true,
+        hasPool: true,
+        hasBasement: true,
+        fireplaces: 1,
+        hasFireplace: true,
+        hasCentralAir: true,
+        hasLaundry: true,
+    });
+});
+
+test('deriveFeatures turns facts that state an absence into false', () => {
+    const facts = {
+        'Interior Features': {
+            Basement: 'None',
+            '# of Fireplaces': '0',
+            Cooling: 'Window Unit(s)',
+            'Laundry Features': 'No Laundry',
+        },
+        'Parking / Garage Information': { Garage: 'No' },
+    };
+
+    assert.deepEqual(deriveFeatures(facts), {
+        ...UNKNOWN,
+        hasGarage: false,
+        hasBasement: false,
+        fireplaces: 0,
+        hasFireplace: false,
+        hasCentralAir: false,
+        hasLaundry: false,
+    });
+});
+
+test('deriveFeatures leaves shared amenities to the building', () => {
+    const facts = {
+        'Community Information': { Pool: 'Community Pool', 'Laundry Features': 'Common Area, In Building' },
+        'Interior Features': { 'Washer/Dryer': 'Shared' },
+    };
+
+    assert.deepEqual(deriveFeatures(facts), { ...UNKNOWN, hasLaundry: false });
+    // One fact for the home's own laundry is enough
+    facts['Interior Features']['Washer/Dryer'] = 'In Unit';
+    assert.equal(deriveFeatures(facts).hasLaundry, true);
+});
+
+test('deriveFeatures reads a garage size out of a bullet and takes the largest count', () => {
+    assert.deepEqual(deriveFeatures({ Parking: { 'Attached 2-Car Garage': true } }), {
+        ...UNKNOWN,
+        garageSpaces: 2,
+        hasGarage: true,
+    });
+    assert.equal(deriveFeatures({ Parking: { 'GARAGE SPACES': '1', 'Garage Capacity': '3 spaces' } }).garageSpaces, 3);
+    assert.equal(deriveFeatures({ Parking: { 'Parking Type': 'Detached Garage' } }).hasGarage, true);
+});
+
+test('deriveFeatures leaves a feature unknown when no fact or only an odd label mentions it', () => {
+    assert.deepEqual(deriveFeatures(null), UNKNOWN);
+    assert.deepEqual(deriveFeatures({}), UNKNOWN);
+    // A schools entry that happens to name a feature is not about the home
+    assert.deepEqual(deriveFeatures({ Schools: { 'Pool Elementary School': 'Rating 8 • Public' } }), UNKNOWN);
+    // A garage without a number is still a garage, and a bare "Yes" does not say which cooling
+    assert.deepEqual(deriveFeatures({ 'Key Details': { 'Garage Spaces': 'Yes', Cooling: 'Yes' } }), {
+        ...UNKNOWN,
+        hasGarage: true,
+    });
+    // A fireplace without a count
+    assert.deepEqual(deriveFeatures({ Interior: { 'Fireplace(s)': 'Yes' } }), { ...UNKNOWN, hasFireplace: true });
+});
@@ -0,0 +1,116 @@
+// Queued fetching - 429s retried on the same request outside the retry budget, and block pages
+// retried on a fresh identity until the circuit breaker trips, run against a local HTTP server
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { createCircuitBreaker, RESPONSE_CLASSES } from '../src/blocking.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+// The crawler's request queue and the failed-requests dataset live in a throwaway directory
+const storageDir = await mkdtemp(join(tmpdir(), 'redfin-fetcher-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.APIFY_LOCAL_STORAGE_DIR = storageDir;
+const { createFetcher, REQUEST_LABELS } = await import('../src/fetcher.js');
+
+const CAPTCHA_PAGE =
+    '<html><head><title>Access to this page has been denied</title></head><body><div id="px-captcha">Press &amp; Hold to confirm you are a human</div></body></html>';
+
+const GIS_ANSWER = '{}&&{"resultCode":0,"payload":{"homes":[]}}';
+
+// Serves `respond(hit)` for every request and keeps the request headers of each hit
+const startServer = async (respond) => {
+    const hits = [];
+    const server = createServer((req, res) => {
+        hits.push(req.headers);
+        const { statusCode, headers, body } = respond(hits.length);
+        res.writeHead(statusCode, headers);
+        res.end(body);
+    });
+    await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    return { hits, url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+};
+
+// A new user agent per call, the way the actor rotates them
+const rotatingHeaders = () => {
+    let calls = 0;
+    return () => {
+        calls += 1;
+        return { 'user-agent': `test-agent-${calls}` };
+    };
+};
+
+after(() => rm(storageDir, { recursive: true, force: true }));
+
+test('a captcha page is retried with a new user agent, then given up on and trips the breaker', async () => {
+    const server = await startServer(() => ({
+        statusCode: 200,
+        headers: { 'content-type': 'text/html' },
+        body: CAPTCHA_PAGE,
+    }));
+    const circuitBreaker = createCircuitBreaker({ threshold: 2, cooldownMs: 60000 });
+    const fetcher = await createFetcher({ maxRequestRetries: 1, getHeaders: rotatingHeaders(), circuitBreaker });
+
+    try {
+        const result = await fetcher.fetch({
+            url: `${server.url}/IL/Chicago/home/11111`,
+            label: REQUEST_LABELS.detail,
+        });
+
+        assert.equal(result.statusCode, null);
+        assert.equal(result.responseClass, RESPONSE_CLASSES.captcha);
+        assert.equal(server.hits.length, 2);
+        assert.notEqual(server.hits[0]['user-agent'], server.hits[1]['user-agent']);
+        assert.deepEqual(fetcher.counts, { succeeded: 0, failed: 1, retried: 1 });
+        assert.equal(circuitBreaker.counts.captcha, 2);
+        assert.equal(circuitBreaker.isOpen(), true);
+        assert.equal(circuitBreaker.getTrips(), 1);
+
+        const failedDir = join(storageDir, 'datasets', 'redfin-failed-requests');
+        const [failed] = await Promise.all(
+            (await readdir(failedDir)).map(async (file) => JSON.parse(await readFile(join(failedDir, file), 'utf8')))
+        );
+        assert.equal(failed.label, REQUEST_LABELS.detail);
+        assert.equal(failed.responseClass, RESPONSE_CLASSES.captcha);
+    } finally {
+        await fetcher.close();
+        server.close();
+    }
+});
+
+test('a 429 pauses for its Retry-After and fetches the same page again without using up a retry', async () => {
+    const server = await startServer((hit) =>
+        hit === 1
+            ? { statusCode: 429, headers: { 'content-type': 'text/plain', 'retry-after': '1' }, body: 'Slow down' }
+            : { statusCode: 200, headers: { 'content-type': 'application/json' }, body: GIS_ANSWER }
+    );
+    const circuitBreaker = createCircuitBreaker({ threshold: 1 });
+    const fetcher = await createFetcher({ maxRequestRetries: 0, getHeaders: rotatingHeaders(), circuitBreaker });
+    const url = `${server.url}/stingray/api/gis?page_number=2`;
+
+    try {
+        const startedAt = Date.now();
+        const result = await fetcher.fetch({ url, label: REQUEST_LABELS.gis });
+
+        assert.equal(result.statusCode, 200);
+        assert.equal(result.url, url);
+        assert.equal(result.body, GIS_ANSWER);
+        assert.ok(Date.now() - startedAt >= 1000, 'waited for Retry-After');
+        assert.equal(server.hits.length, 2);
+        assert.deepEqual(fetcher.counts, { succeeded: 1, failed: 0, retried: 1 });
+        assert.equal(fetcher.throttle.getStats().rateLimited, 1);
+        // A rate limit is not a block
+        assert.equal(circuitBreaker.isOpen(), false);
+    } finally {
+        await fetcher.close();
+        server.close();
+    }
+});
@@ -0,0 +1,156 @@
+// Search filters - input normalization, GIS parameters and the post-scrape check of fallback rows
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+
+import {
+    buildGisFilterParams,
+    buildSearchPageUrl,
+    classifyHomeType,
+    classifyListingStatus,
+    findFailedFilter,
+    normalizeFilters,
+} from '../src/filters.js';
+
+const NOW = Date.parse('2024-06-05T12:00:00Z');
+
+const HOME = {
+    price: 450000,
+    beds: 3,
+    baths: 2,
+    sqft: 1800,
+    yearBuilt: 1998,
+    listingDate: '2024-05-26',
+    propertyType: 'Single Family Residential',
+    status: 'forSale',
+    openHouses: [{ start: '2024-06-08T16:00:00.000Z', end: '2024-06-08T18:00:00.000Z' }],
+};
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('normalizeFilters turns unset and invalid values into null', () => {
+    const filters = normalizeFilters({
+        minPrice: '300,000',
+        maxPrice: -1,
+        minBeds: 0,
+        homeTypes: ['house', 'castle'],
+        listingStatus: ['pending'],
+    });
+
+    assert.equal(filters.minPrice, 300000);
+    assert.equal(filters.maxPrice, null);
+    assert.equal(filters.minBeds, null);
+    assert.deepEqual(filters.homeTypes, ['house']);
+    assert.deepEqual(filters.listingStatuses, ['pending']);
+    assert.equal(filters.soldWithinDays, null);
+});
+
+test('normalizeFilters in sold mode sets the sold window and drops the status filter', () => {
+    const filters = normalizeFilters({ searchMode: 'sold', soldWithin: '6mo', listingStatus: ['forSale'] });
+
+    assert.equal(filters.soldWithinDays, 180);
+    assert.equal(filters.listingStatuses, null);
+    assert.equal(normalizeFilters({ searchMode: 'sold', soldWithin: 'forever' }).soldWithinDays, 90);
+});
+
+test('buildGisFilterParams sends home types, the status bitmask and the set bounds', () => {
+    assert.deepEqual(buildGisFilterParams(normalizeFilters({})), { uipt: '1,2,3,4,5,6,7,8', status: 9 });
+    assert.deepEqual(
+        buildGisFilterParams(
+            normalizeFilters({
+                homeTypes: ['condo', 'house'],
+                listingStatus: ['forSale', 'pending'],
+                minPrice: 200000,
+                maxDaysOnMarket: 30,
+            })
+        ),
+        { uipt: '1,2', status: 131, min_price: 200000, time_on_market_range: '-30' }
+    );
+    assert.equal(buildGisFilterParams(normalizeFilters({ searchMode: 'sold' })).sold_within_days, 90);
+});
+
+test('buildSearchPageUrl adds the sold window to a search page URL', () => {
+    const sold = normalizeFilters({ searchMode: 'sold', soldWithin: '1y' });
+    const city = 'https://www.redfin.com/city/29470/IL/Chicago';
+
+    assert.equal(buildSearchPageUrl(city, normalizeFilters({})), city);
+    assert.equal(buildSearchPageUrl(`${city}/`, sold), `${city}/filter/include=sold-1yr`);
+    assert.equal(
+        buildSearchPageUrl(`${city}/filter/property-type=house`, sold),
+        `${city}/filter/property-type=house,include=sold-1yr`
+    );
+});
+
+test('classifyHomeType and classifyListingStatus read GIS codes and page labels', () => {
+    assert.equal(classifyHomeType(13), 'townhouse');
+    assert.equal(classifyHomeType('Condo/Co-op'), 'condo');
+    assert.equal(classifyHomeType('Co-op'), 'coop');
+    assert.equal(classifyHomeType('Vacant Land'), 'land');
+    assert.equal(classifyListingStatus('Under Contract'), 'pending');
+    assert.equal(classifyListingStatus('Sold Mar 3, 2024'), 'sold');
+    assert.equal(classifyListingStatus('Off Market'), 'offMarket');
+    assert.equal(classifyListingStatus('Something else'), null);
+});
+
+test('findFailedFilter names the first filter a row fails', () => {
+    const check = (input, home = HOME) => findFailedFilter(home, normalizeFilters(input));
+
+    assert.equal(check({ minPrice: 300000, maxPrice: 500000, minBeds: 3, minSqft: 1500 }), null);
+    assert.equal(check({ minPrice: 500000 }), 'minPrice');
+    assert.equal(check({ minBaths: 3 }), 'minBaths');
+    assert.equal(check({ maxSqft: 1500 }), 'maxSqft');
+    assert.equal(check({ minYearBuilt: 2000 }), 'minYearBuilt');
+    assert.equal(check({ maxDaysOnMarket: 7 }), 'maxDaysOnMarket');
+    assert.equal(check({ homeTypes: ['condo'] }), 'homeTypes');
+    assert.equal(check({ listingStatus: ['pending'] }), 'listingStatus');
+});
+
+test('findFailedFilter lets through a row that lacks the filtered field', () => {
+    const sparse = { price: null, beds: null, sqft: null, propertyType: null, status: null };
+
+    assert.equal(findFailedFilter(sparse, normalizeFilters({ minPrice: 1, minBeds: 2, minSqft: 500 })), null);
+    assert.equal(findFailedFilter(sparse, normalizeFilters({ homeTypes: ['house'], listingStatus: ['forSale'] })), null);
+});
+
+test('findFailedFilter wants an open house under way or starting within the window', () => {
+    const filters = normalizeFilters({ openHouseWithinDays: 3 });
+
+    assert.equal(findFailedFilter(HOME, normalizeFilters({ openHouseWithinDays: 4 })), null);
+    assert.equal(findFailedFilter(HOME, filters), 'openHouseWithinDays');
+    assert.equal(
+        findFailedFilter(
+            { ...HOME, openHouses: [{ start: '2024-06-05T11:00:00.000Z', end: '2024-06-05T13:00:00.000Z' }] },
+            filters
+        ),
+        null
+    );
+    assert.equal(findFailedFilter({ ...HOME, openHouses: [] }, filters), 'openHouseWithinDays');
+});
+
+test('findFailedFilter in sold mode keeps sold homes within the window', () => {
+    const filters = normalizeFilters({ searchMode: 'sold', soldWithin: '30d' });
+    const sold = { ...HOME, status: 'sold', soldDate: '2024-05-20' };
+
+    assert.equal(findFailedFilter(sold, filters), null);
+    assert.equal(findFailedFilter(HOME, filters), 'soldOnly');
+    assert.equal(findFailedFilter({ ...sold, soldDate: '2024-04-01' }, filters), 'soldWithin');
+});
+
+test('findFailedFilter holds rows to for sale and coming soon when no status filter is set', () => {
+    const check = (status, input = {}) => findFailedFilter({ ...HOME, status }, normalizeFilters(input));
+
+    assert.equal(check('forSale'), null);
+    assert.equal(check('comingSoon'), null);
+    assert.equal(check('pending'), 'listingStatus');
+    assert.equal(check('sold'), 'listingStatus');
+    assert.equal(check('offMarket'), 'listingStatus');
+    assert.equal(check(null), null);
+    assert.equal(check('pending', { listingStatus: ['pending'] }), null);
+    // Sold mode has its own status check
+    assert.equal(check('sold', { searchMode: 'sold' }), null);
+});
@@ -0,0 +1,88 @@
+// Custom search areas - parsing of polygons, boxes and radii, and clipping to their exact shape
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { AREA_KINDS, isInsideArea, parseSearchArea, toGisPolygon } from '../src/geo.js';
+
+// A square with a square hole in its middle
+const DONUT = {
+    type: 'Polygon',
+    coordinates: [
+        [
+            [-88, 41],
+            [-87, 41],
+            [-87, 42],
+            [-88, 42],
+        ],
+        [
+            [-87.6, 41.4],
+            [-87.4, 41.4],
+            [-87.4, 41.6],
+            [-87.6, 41.6],
+            [-87.6, 41.4],
+        ],
+    ],
+};
+
+test('parseSearchArea reads a polygon, closing its rings, from GeoJSON or its JSON text', () => {
+    const area = parseSearchArea({ searchPolygon: JSON.stringify(DONUT) });
+
+    assert.equal(area.kind, AREA_KINDS.polygon);
+    assert.deepEqual(area.polygons[0][0].at(-1), [-88, 41]);
+    assert.deepEqual(area.bbox, [-88, 41, -87, 42]);
+    assert.deepEqual(parseSearchArea({ searchPolygon: { type: 'Feature', geometry: DONUT } }), area);
+});
+
+test('parseSearchArea reads a bounding box as an array or by its sides', () => {
+    const area = parseSearchArea({ searchBoundingBox: { west: -88, south: 41, east: -87, north: 42 } });
+
+    assert.equal(area.kind, AREA_KINDS.bbox);
+    assert.deepEqual(area.bbox, [-88, 41, -87, 42]);
+    assert.deepEqual(parseSearchArea({ searchBoundingBox: [-88, 41, -87, 42] }), area);
+});
+
+test('parseSearchArea reads a radius as a 32-point circle inside its envelope', () => {
+    const area = parseSearchArea({ searchRadius: { latitude: 41.8781, longitude: -87.6298, miles: 1 } });
+    const [west, south, east, north] = area.bbox;
+
+    assert.equal(area.kind, AREA_KINDS.radius);
+    assert.deepEqual(area.center, [-87.6298, 41.8781]);
+    assert.equal(area.polygons[0][0].length, 33);
+    assert.ok(area.polygons[0][0].every(([lng, lat]) => lng >= west && lng <= east && lat >= south && lat <= north));
+    assert.equal(toGisPolygon(area).split(',').length, 33);
+});
+
+test('parseSearchArea returns null without an area and throws on bad or conflicting ones', () => {
+    assert.equal(parseSearchArea({}), null);
+    assert.throws(() => parseSearchArea({ searchPolygon: { type: 'Point', coordinates: [0, 0] } }), /Polygon/);
+    assert.throws(() => parseSearchArea({ searchBoundingBox: [-87, 41, -88, 42] }), /west < east/);
+    assert.throws(() => parseSearchArea({ searchRadius: { latitude: 41, longitude: -87, miles: 0 } }), /miles/);
+    assert.throws(
+        () => parseSearchArea({ searchBoundingBox: [-88, 41, -87, 42], searchRadius: { latitude: 41, longitude: -87 } }),
+        /only one/
+    );
+});
+
+test('isInsideArea clips to the circle, not its square envelope', () => {
+    const area = parseSearchArea({ searchRadius: { latitude: 41.8781, longitude: -87.6298, miles: 1 } });
+
+    assert.equal(isInsideArea(area, 41.8853, -87.6251), true);
+    // Inside the envelope's corner, about 1.3 miles out
+    assert.equal(isInsideArea(area, 41.8916, -87.6118), false);
+    assert.equal(isInsideArea(area, null, null), false);
+});
+
+test('isInsideArea keeps points in a polygon and out of its holes', () => {
+    const area = parseSearchArea({ searchPolygon: DONUT });
+
+    assert.equal(isInsideArea(area, 41.2, -87.8), true);
+    assert.equal(isInsideArea(area, 41.5, -87.5), false);
+    assert.equal(isInsideArea(area, 42.5, -87.5), false);
+});
+
+test('isInsideArea takes a bounding box edge as inside', () => {
+    const area = parseSearchArea({ searchBoundingBox: [-88, 41, -87, 42] });
+
+    assert.equal(isInsideArea(area, 42, -87), true);
+    assert.equal(isInsideArea(area, 42.01, -87), false);
+});
@@ -0,0 +1,87 @@
+// Detail page history - sale history events and tax history rows, from current and older page markup
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { load } from 'cheerio';
+
+import { parsePriceHistory, parseTaxHistory } from '../src/history.js';
+
+const eventRow = (date, event, source, price) => `
+<div class="PropertyHistoryEventRow">
+    <div class="col-4"><p class="date-col">${date}</p><p class="subtext">Date</p></div>
+    <div class="event-col"><div>${event}</div><p class="source-info subtext">${source}</p></div>
+    <div class="price-col"><span>${price}</span><p class="subtext">Price</p></div>
+</div>`;
+
+const tableRow = (date, event, price) =>
+    `<tr><td class="date-col">${date}</td><td class="event-col">${event}</td><td class="price-col">${price}</td></tr>`;
+
+test('parsePriceHistory reads event rows newest first, with their source', () => {
+    const $ = load(`<div class="PropertyHistory">
+        ${eventRow('Jun 3, 2019', 'Sold (MLS) (Closed Sale)', 'Source: MRED #10350000', '$880,000')}
+        ${eventRow('Apr 20, 2024', 'Listed (Active)', 'Source: MRED #11950000', '$925,000')}
+        ${eventRow('May 12, 2024', 'Price Changed', 'Source: MRED #11950000', '$899,000')}
+    </div>`);
+
+    assert.deepEqual(parsePriceHistory($), [
+        { date: '2024-05-12', event: 'Price Changed', price: 899000, source: 'MRED #11950000' },
+        { date: '2024-04-20', event: 'Listed', price: 925000, source: 'MRED #11950000' },
+        { date: '2019-06-03', event: 'Sold', price: 880000, source: 'MRED #10350000' },
+    ]);
+});
+
+test('parsePriceHistory keeps a row without an amount and drops a repeated one', () => {
+    const $ = load(`<div class="PropertyHistory">
+        ${eventRow('Apr 20, 2024', 'Listed (Active)', 'Source: MRED #11950000', '$925,000')}
+        ${eventRow('Apr 20, 2024', 'Listed (Active)', 'Source: MRED #11950000', '$925,000')}
+        ${eventRow('Feb 1, 2024', 'Delisted (Cancelled)', 'Source: MRED #11940000', '—')}
+    </div>`);
+
+    assert.deepEqual(parsePriceHistory($), [
+        { date: '2024-04-20', event: 'Listed', price: 925000, source: 'MRED #11950000' },
+        { date: '2024-02-01', event: 'Delisted', price: null, source: 'MRED #11940000' },
+    ]);
+});
+
+test('parsePriceHistory reads the table of older pages and skips its header', () => {
+    const $ = load(`<div id="property-history-transition-node"><table>
+        <tr><th>Date</th><th>Event &amp; Source</th><th>Price</th></tr>
+        ${tableRow('03/15/2021', 'Sold (Public Records)', '$1.2M')}
+        ${tableRow('Jan 5, 2021', 'Pending (MLS)', '—')}
+    </table></div>`);
+
+    assert.deepEqual(parsePriceHistory($), [
+        { date: '2021-03-15', event: 'Sold', price: 1200000, source: 'Public Records' },
+        { date: '2021-01-05', event: 'Pending', price: null, source: 'MLS' },
+    ]);
+    assert.deepEqual(parsePriceHistory(load('<p>No history</p>')), []);
+});
+
+test('parseTaxHistory takes the amount after an assessment change percentage', () => {
+    const $ = load(`<div class="TaxHistory"><table>
+        <tr><th>Year</th><th>Property Tax</th><th>Assessment</th></tr>
+        <tr><td>2022</td><td>$10,820 (+3.1%)</td><td>+8.2% $94,500</td></tr>
+        <tr><td>2023</td><td>$11,204</td><td>$102,250</td></tr>
+        <tr><td>2021</td><td>$10,495</td><td>—</td></tr>
+        <tr><td>2020</td><td>N/A</td><td>$87,300</td></tr>
+        <tr><td>2023</td><td>$1</td><td>$1</td></tr>
+    </table></div>`);
+
+    assert.deepEqual(parseTaxHistory($), [
+        { year: 2023, taxAmount: 11204, assessedValue: 102250 },
+        { year: 2022, taxAmount: 10820, assessedValue: 94500 },
+        { year: 2021, taxAmount: 10495, assessedValue: null },
+        { year: 2020, taxAmount: null, assessedValue: 87300 },
+    ]);
+});
+
+test('parseTaxHistory falls back to a table headed with tax and assessment', () => {
+    const $ = load(`<table><tr><th>Year</th><th>Tax</th></tr><tr><td>2023</td><td>$9,000</td></tr></table>
+        <table><thead><tr><th>Year</th><th>Taxes</th><th>Assessed value</th></tr></thead>
+        <tbody><tr><td>Tax year 2023</td><td>$4,310</td><td>$61,000</td></tr></tbody></table>`);
+
+    assert.deepEqual(parseTaxHistory($), [{ year: 2023, taxAmount: 4310, assessedValue: 61000 }]);
+    // Two cells have no assessment to read
+    const twoCells = load('<table class="tax-table"><tr><td>2023</td><td>$4,310</td></tr></table>');
+    assert.deepEqual(parseTaxHistory(twoCells), [{ year: 2023, taxAmount: 4310, assessedValue: null }]);
+});
@@ -0,0 +1,119 @@
+// Listing details - the agent block, open-house times read off a page and their conversion to UTC
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { load } from 'cheerio';
+
+import { openHousesInUtc, parseListingAgent, parseOpenHouses, toTimestamp } from '../src/listing.js';
+
+const openHouseList = (...items) =>
+    load(`<div class="OpenHouseTourList">${items.map((item) => `<div class="tour-day">${item}</div>`).join('')}</div>`);
+
+test('toTimestamp reads epoch times, ISO strings and calendar labels', () => {
+    assert.equal(toTimestamp(Date.parse('2024-06-08T16:00:00Z')), '2024-06-08T16:00:00.000Z');
+    assert.equal(toTimestamp('2024-06-08T11:00:00-05:00'), '2024-06-08T11:00:00-05:00');
+    assert.equal(toTimestamp('June-08-2024 11:00 AM'), '2024-06-08T11:00:00');
+    assert.equal(toTimestamp('Jun 8, 2024 12:30 p.m.'), '2024-06-08T12:30:00');
+    assert.equal(toTimestamp('Jun 9, 2024 12 AM'), '2024-06-09T00:00:00');
+    assert.equal(toTimestamp('Jun 8, 2024'), null);
+    assert.equal(toTimestamp('2024-13-45T99:00'), null);
+    assert.equal(toTimestamp(''), null);
+});
+
+test('parseOpenHouses prefers the JSON-LD events, earliest first and once each', () => {
+    const jsonLd = [
+        { '@type': 'Event', name: 'Open House', startDate: '2024-06-09T13:00:00', endDate: '2024-06-09T15:00:00' },
+        { '@type': 'Event', name: 'Open House', startDate: '2024-06-08T11:00:00', endDate: '2024-06-08T13:00:00' },
+        { '@type': 'Event', name: 'Open House', startDate: '2024-06-08T11:00:00', endDate: '2024-06-08T13:00:00' },
+        { '@type': 'Event', name: 'Virtual Tour', startDate: '2024-06-10T10:00:00' },
+    ];
+
+    assert.deepEqual(parseOpenHouses(openHouseList('Sun, Jun 16 · 1:00 PM - 3:00 PM'), jsonLd), [
+        { start: '2024-06-08T11:00:00', end: '2024-06-08T13:00:00' },
+        { start: '2024-06-09T13:00:00', end: '2024-06-09T15:00:00' },
+    ]);
+});
+
+test('parseOpenHouses reads the list when there are no events, giving each date a year', () => {
+    const $ = openHouseList('Sat, Jun 8 · 11:00 AM - 1:00 PM', 'Sun, Jun 9 · 2 PM', 'Tour with an agent');
+
+    assert.deepEqual(parseOpenHouses($, [], { now: Date.parse('2024-06-05T12:00:00Z') }), [
+        { start: '2024-06-08T11:00:00', end: '2024-06-08T13:00:00' },
+        { start: '2024-06-09T14:00:00', end: null },
+    ]);
+});
+
+test('parseOpenHouses puts a date without a year in the year nearest to now', () => {
+    const at = (now, label) => parseOpenHouses(openHouseList(label), [], { now: Date.parse(now) })[0].start;
+
+    // A December open house still shown in January is last year's
+    assert.equal(at('2025-01-03T12:00:00Z', 'Sat, Dec 28 · 11:00 AM - 1:00 PM'), '2024-12-28T11:00:00');
+    // A January one scheduled in December is next year's
+    assert.equal(at('2024-12-30T12:00:00Z', 'Sat, Jan 4 · 11:00 AM - 1:00 PM'), '2025-01-04T11:00:00');
+    assert.equal(at('2024-06-05T12:00:00Z', 'Wed, Jun 5 · 9:00 AM - 11:00 AM'), '2024-06-05T09:00:00');
+    assert.equal(at('2024-06-05T12:00:00Z', 'Sat, Dec 28, 2024 · 11:00 AM'), '2024-12-28T11:00:00');
+});
+
+test('openHousesInUtc reads wall-clock times in the time zone of the home state, across a DST change', () => {
+    // Chicago moves from CST (UTC-6) to CDT (UTC-5) at 2:00 AM on March 10, 2024
+    assert.deepEqual(openHousesInUtc([{ start: '2024-03-10T01:30:00', end: '2024-03-10T03:30:00' }], 'IL'), [
+        { start: '2024-03-10T07:30:00.000Z', end: '2024-03-10T08:30:00.000Z' },
+    ]);
+    // And back at 2:00 AM on November 3
+    assert.deepEqual(openHousesInUtc([{ start: '2024-11-02T23:00:00', end: '2024-11-03T09:00:00' }], 'il'), [
+        { start: '2024-11-03T04:00:00.000Z', end: '2024-11-03T15:00:00.000Z' },
+    ]);
+    // Arizona keeps standard time all year
+    assert.deepEqual(openHousesInUtc([{ start: '2024-06-08T11:00:00', end: null }], 'AZ'), [
+        { start: '2024-06-08T18:00:00.000Z', end: null },
+    ]);
+});
+
+test('openHousesInUtc keeps times that carry an offset and defaults to Chicago time', () => {
+    assert.deepEqual(
+        openHousesInUtc(
+            [
+                { start: '2024-06-08T11:00:00-07:00', end: '2024-06-08T13:00:00.000Z' },
+                { start: '2024-06-09T11:00:00', end: null },
+            ],
+            null
+        ),
+        [
+            { start: '2024-06-08T18:00:00.000Z', end: '2024-06-08T13:00:00.000Z' },
+            { start: '2024-06-09T16:00:00.000Z', end: null },
+        ]
+    );
+    assert.deepEqual(openHousesInUtc(null, 'IL'), []);
+});
+
+test('parseListingAgent splits a "•"-separated agent line into its parts', () => {
+    const $ = load(`<div class="agent-info-section">
+        <p>Listed by Jane Smith • DRE #01234567 • Compass • (312) 555-0100</p>
+    </div>`);
+
+    assert.deepEqual(parseListingAgent($, []), {
+        name: 'Jane Smith',
+        brokerage: 'Compass',
+        licenseNumber: '01234567',
+        phone: '(312) 555-0100',
+        email: null,
+    });
+});
+
+test('parseListingAgent prefers named elements and fills gaps from the JSON-LD agent', () => {
+    const $ = load(`<div class="agent-info-container">
+        <span class="agent-name">John Doe</span><span class="broker-name">@properties</span>
+        <a href="mailto:john@example.com">Email agent</a>
+    </div>`);
+    const jsonLd = [{ '@type': 'RealEstateAgent', name: 'J. Doe', telephone: '312-555-0199' }];
+
+    assert.deepEqual(parseListingAgent($, jsonLd), {
+        name: 'John Doe',
+        brokerage: '@properties',
+        licenseNumber: null,
+        phone: '312-555-0199',
+        email: 'john@example.com',
+    });
+    assert.deepEqual(parseListingAgent(load('<p>No agent</p>'), jsonLd).name, 'J. Doe');
+    assert.equal(parseListingAgent(load('<p>No agent</p>'), []), null);
+});
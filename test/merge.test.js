@@ -0,0 +1,132 @@
+// Record merging - field priorities, address normalization, home identity and the record store
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+    createRecordStore,
+    mergeFields,
+    normalizeAddress,
+    RECORD_RESULTS,
+    recordKeys,
+    SOURCES,
+} from '../src/merge.js';
+
+const HOME = {
+    propertyId: 12121,
+    url: 'https://www.redfin.com/IL/Chicago/2121-W-Roscoe-St-60618/home/12121',
+    streetAddress: '2121 W Roscoe St',
+    city: 'Chicago',
+    state: 'IL',
+    zip: '60618',
+};
+
+// Keeps the first record's values and fills in the rest, noting every record merged in
+const mergeRecords = (held, incoming) => ({
+    ...incoming,
+    ...held,
+    mergedFrom: [...(held.mergedFrom || []), incoming.source],
+});
+
+test('normalizeAddress spells street words, directions and units one way', () => {
+    assert.equal(normalizeAddress('123 North Main Street, Apt. 4'), '123 n main st unit 4');
+    assert.equal(normalizeAddress('123 N Main St #4'), '123 n main st unit 4');
+    assert.equal(normalizeAddress('123 N. Main St. Apt #4'), '123 n main st unit 4');
+    assert.equal(normalizeAddress('500 W Superior Street Suite 1205'), '500 w superior st unit 1205');
+    assert.equal(normalizeAddress(''), null);
+    assert.equal(normalizeAddress(null), null);
+});
+
+test('recordKeys gives the Redfin id and the address with its ZIP code', () => {
+    assert.deepEqual(recordKeys(HOME), ['id:12121', 'address:2121 w roscoe st|60618']);
+    // The id comes from the URL when the record has none of its own
+    assert.deepEqual(recordKeys({ ...HOME, propertyId: null, zip: '60618-1234' }), [
+        'id:12121',
+        'address:2121 w roscoe st|60618',
+    ]);
+    // Without a ZIP code the city and state place the street
+    assert.deepEqual(recordKeys({ streetAddress: '2121 West Roscoe Street', city: 'Chicago', state: 'IL' }), [
+        'address:2121 w roscoe st|chicago il',
+    ]);
+    assert.deepEqual(recordKeys({ streetAddress: '2121 W Roscoe St' }), []);
+});
+
+test('mergeFields takes each field from the best source that has it', () => {
+    const { fields, provenance } = mergeFields([
+        { source: SOURCES.html, fields: { price: 900000, description: 'From the page', openHouses: [{ start: 'a' }] } },
+        { source: SOURCES.api, fields: { price: 925000, description: null, openHouses: [] } },
+        { source: SOURCES.jsonLd, fields: { price: 910000, lotSize: '' } },
+    ]);
+
+    assert.deepEqual(fields, { price: 925000, description: 'From the page', openHouses: [{ start: 'a' }] });
+    assert.deepEqual(provenance, { price: SOURCES.api, description: SOURCES.html, openHouses: SOURCES.html });
+});
+
+test('the record store merges a home found again by id or address', () => {
+    const store = createRecordStore({ merge: mergeRecords });
+
+    assert.equal(store.add({ ...HOME, source: 'json-api', price: 925000 }), RECORD_RESULTS.added);
+    assert.equal(store.add({ ...HOME, source: 'sitemap', description: 'Garage' }), RECORD_RESULTS.merged);
+    // Same street spelled out, no id of its own
+    assert.equal(
+        store.add({ ...HOME, propertyId: null, url: null, streetAddress: '2121 West Roscoe Street', source: 'csv' }),
+        RECORD_RESULTS.merged
+    );
+    assert.equal(
+        store.add({ ...HOME, propertyId: 85002, url: null, streetAddress: '1140 W Wrightwood Ave' }),
+        RECORD_RESULTS.added
+    );
+
+    const [merged, other] = store.take();
+    assert.equal(merged.source, 'json-api');
+    assert.equal(merged.price, 925000);
+    assert.equal(merged.description, 'Garage');
+    assert.deepEqual(merged.mergedFrom, ['sitemap', 'csv']);
+    assert.equal(other.propertyId, 85002);
+});
+
+test('the record store keeps two ids at one address apart', () => {
+    const store = createRecordStore({ merge: mergeRecords });
+
+    store.add(HOME);
+    assert.equal(store.add({ ...HOME, propertyId: 12999, url: null }), RECORD_RESULTS.added);
+    assert.equal(store.take().length, 2);
+});
+
+test('the record store holds records until taken, then drops a home seen again', () => {
+    const store = createRecordStore({ merge: mergeRecords, batchSize: 2 });
+
+    store.add(HOME);
+    assert.equal(store.isFull(), false);
+    store.add({ ...HOME, propertyId: 85002, url: null, streetAddress: '1140 W Wrightwood Ave' });
+    assert.equal(store.isFull(), true);
+    assert.equal(store.take().length, 2);
+
+    assert.equal(store.isFull(), false);
+    assert.equal(store.add({ ...HOME, source: 'sitemap' }), RECORD_RESULTS.saved);
+    assert.deepEqual(store.take(), []);
+});
+
+test('the saved homes carry over to a new record store', () => {
+    const before = createRecordStore({ merge: mergeRecords });
+    before.add(HOME);
+    before.take();
+
+    const after = createRecordStore({ merge: mergeRecords });
+    after.restoreState(before.getState());
+
+    assert.deepEqual(before.getState(), { savedIds: ['12121'], savedAddresses: [] });
+    assert.equal(after.add({ ...HOME, source: 'sitemap' }), RECORD_RESULTS.saved);
+    assert.equal(after.add({ ...HOME, propertyId: 12999, url: null }), RECORD_RESULTS.added);
+});
+
+test('a saved home without an id is carried over by its address', () => {
+    const before = createRecordStore({ merge: mergeRecords });
+    before.add({ ...HOME, propertyId: null, url: null });
+    before.take();
+
+    const after = createRecordStore({ merge: mergeRecords });
+    after.restoreState(before.getState());
+
+    assert.deepEqual(before.getState(), { savedIds: [], savedAddresses: ['address:2121 w roscoe st|60618'] });
+    assert.equal(after.add({ ...HOME, propertyId: null, url: null, source: 'csv' }), RECORD_RESULTS.saved);
+});
@@ -0,0 +1,128 @@
+// Incremental monitoring - field diffs, and new, changed, unchanged and removed listings across two runs
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { log } from 'apify';
+
+log.setLevel(log.LEVELS.OFF);
+
+// Snapshots are kept in a throwaway key-value store directory
+const storageDir = await mkdtemp(join(tmpdir(), 'redfin-monitor-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.APIFY_LOCAL_STORAGE_DIR = storageDir;
+const { CHANGE_TYPES, createMonitor, diffProperty, FIELD_CHANGES } = await import('../src/monitor.js');
+
+const REGION = { regionType: 'city', regionId: '29470' };
+
+const home = (propertyId, price, status = 'forSale') => ({
+    propertyId,
+    url: `https://www.redfin.com/IL/Chicago/home/${propertyId}`,
+    address: `${propertyId} N State St`,
+    price,
+    status,
+    fetched_at: '2024-06-01T12:00:00.000Z',
+});
+
+// One monitored run over `homes`; returns the rows it would push
+const monitorRun = async (homes, { storeName = 'redfin-monitor-test', complete = true } = {}) => {
+    const monitor = await createMonitor({ storeName, mode: 'forSale' });
+    await monitor.startRegion(REGION);
+    const rows = homes.map((property) => monitor.check(property)).filter(Boolean);
+    rows.push(...(await monitor.finishRegion({ complete })));
+    return { rows, counts: monitor.counts };
+};
+
+after(() => rm(storageDir, { recursive: true, force: true }));
+
+test('diffProperty reports price moves and status changes', () => {
+    const previous = { price: 500000, status: 'forSale' };
+
+    assert.deepEqual(diffProperty(previous, { price: '$475,000', status: 'pending' }), [
+        { type: FIELD_CHANGES.priceDrop, field: 'price', oldValue: 500000, newValue: 475000 },
+        { type: FIELD_CHANGES.statusChange, field: 'status', oldValue: 'forSale', newValue: 'pending' },
+    ]);
+    assert.equal(diffProperty(previous, { price: 510000, status: 'forSale' })[0].type, FIELD_CHANGES.priceIncrease);
+});
+
+test('diffProperty ignores fields the new record lacks and raw status labels of old snapshots', () => {
+    assert.deepEqual(diffProperty({ price: 500000, status: 'forSale' }, { price: null, status: null }), []);
+    assert.deepEqual(diffProperty({ price: null, status: 'Active' }, { price: 500000, status: 'forSale' }), []);
+});
+
+test('a second run emits only new and changed listings and those no longer found', async () => {
+    const storeName = 'redfin-monitor-two-runs';
+    const first = await monitorRun([home('1', 500000), home('2', 300000), home('3', 700000)], { storeName });
+    assert.deepEqual(
+        first.rows.map(({ propertyId, changeType }) => [propertyId, changeType]),
+        [
+            ['1', CHANGE_TYPES.new],
+            ['2', CHANGE_TYPES.new],
+            ['3', CHANGE_TYPES.new],
+        ]
+    );
+
+    const second = await monitorRun([home('1', 480000), home('2', 300000), home('4', 250000)], { storeName });
+
+    assert.deepEqual(
+        second.rows.map(({ propertyId, changeType, changes }) => [propertyId, changeType, changes.length]),
+        [
+            ['1', CHANGE_TYPES.changed, 1],
+            ['4', CHANGE_TYPES.new, 0],
+            ['3', CHANGE_TYPES.removed, 0],
+        ]
+    );
+    assert.equal(second.rows[0].changes[0].type, FIELD_CHANGES.priceDrop);
+    assert.equal(second.rows[2].price, 700000);
+    assert.equal(second.rows[2].lastSeen, '2024-06-01T12:00:00.000Z');
+    assert.deepEqual(second.counts, {
+        new: 1,
+        removed: 1,
+        unchanged: 1,
+        priceDrop: 1,
+        priceIncrease: 0,
+        statusChange: 0,
+    });
+});
+
+test('an incomplete run reports no removals and carries the missing listings over', async () => {
+    const storeName = 'redfin-monitor-incomplete';
+    await monitorRun([home('1', 500000), home('2', 300000)], { storeName });
+
+    const partial = await monitorRun([home('1', 500000)], { storeName, complete: false });
+    assert.deepEqual(partial.rows, []);
+
+    const full = await monitorRun([home('1', 500000)], { storeName });
+    assert.deepEqual(
+        full.rows.map(({ propertyId, changeType }) => [propertyId, changeType]),
+        [['2', CHANGE_TYPES.removed]]
+    );
+});
+
+test('a restarted run rebuilds the snapshot in progress from its rows and the unchanged ids', async () => {
+    const storeName = 'redfin-monitor-restart';
+    await monitorRun([home('1', 500000), home('2', 300000), home('3', 700000)], { storeName });
+
+    // The first container saw 1 unchanged and 2 cheaper before the migration
+    const first = await createMonitor({ storeName, mode: 'forSale' });
+    await first.startRegion(REGION);
+    const rows = [home('1', 500000), home('2', 280000)].map((property) => first.check(property)).filter(Boolean);
+    const state = first.getState();
+    assert.deepEqual(state.unchangedIds, ['1']);
+
+    const resumed = await createMonitor({ storeName, mode: 'forSale' });
+    await resumed.restoreState(state, rows);
+    assert.equal(resumed.check(home('4', 250000)).changeType, CHANGE_TYPES.new);
+    const removed = await resumed.finishRegion({ complete: true });
+
+    assert.deepEqual(removed.map(({ propertyId }) => propertyId), ['3']);
+    assert.equal(resumed.counts.unchanged, 1);
+    assert.equal(resumed.counts.priceDrop, 1);
+    assert.equal(resumed.counts.new, 1);
+
+    // The next run sees 1, 2 at its new price and 4
+    const next = await monitorRun([home('1', 500000), home('2', 280000), home('4', 250000)], { storeName });
+    assert.deepEqual(next.rows, []);
+});
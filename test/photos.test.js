@@ -0,0 +1,100 @@
+// Listing photos - full-size CDN URLs, the gallery read off a detail page, and the per-listing download cap
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { Actor, log } from 'apify';
+import { load } from 'cheerio';
+
+log.setLevel(log.LEVELS.OFF);
+
+// Downloaded photos are kept in a throwaway key-value store directory
+const storageDir = await mkdtemp(join(tmpdir(), 'redfin-photos-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.APIFY_LOCAL_STORAGE_DIR = storageDir;
+const { createPhotoDownloader, parsePhotos, photoKey, toFullSizePhotoUrl } = await import('../src/photos.js');
+
+const CDN = 'https://ssl.cdn-redfin.com/photo/68';
+const FULL_SIZE = `${CDN}/bigphoto/123/11950123_0.jpg`;
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+// Answers every photo URL with a small JPEG, or with a block page for the URLs in `failing`
+const fakeFetchImage = (failing = []) => {
+    const fetched = [];
+    const fetchImage = async (url) => {
+        fetched.push(url);
+        if (failing.includes(url)) return { statusCode: 403, contentType: 'text/html', buffer: Buffer.from('denied') };
+        return { statusCode: 200, contentType: 'image/jpeg', buffer: JPEG };
+    };
+    return { fetched, fetchImage };
+};
+
+const listingPhotos = (count) =>
+    Array.from({ length: count }, (_, i) => ({ position: i + 1, url: `${CDN}/bigphoto/123/11950123_${i}.jpg` }));
+
+after(() => rm(storageDir, { recursive: true, force: true }));
+
+test('toFullSizePhotoUrl swaps the size of a CDN photo for the original', () => {
+    assert.equal(toFullSizePhotoUrl(`${CDN}/mbphoto/123/genMid.11950123_0.jpg`), FULL_SIZE);
+    assert.equal(toFullSizePhotoUrl(`${CDN}/mbpaddedwide/123/genMid.11950123_0.jpg`), FULL_SIZE);
+    assert.equal(toFullSizePhotoUrl(`${CDN}/islphoto/123/11950123_0.jpg`), FULL_SIZE);
+    assert.equal(toFullSizePhotoUrl('//ssl.cdn-redfin.com/photo/68/bcsphoto/123/genBcs.11950123_0.jpg'), FULL_SIZE);
+});
+
+test('toFullSizePhotoUrl leaves full-size and other URLs as they are', () => {
+    assert.equal(toFullSizePhotoUrl(FULL_SIZE), FULL_SIZE);
+    assert.equal(toFullSizePhotoUrl(`${CDN}/bigphoto/123/genMid.11950123_0.jpg`), FULL_SIZE);
+    const map = 'https://maps.googleapis.com/maps/api/staticmap?size=400x300';
+    const logo = 'https://ssl.cdn-redfin.com/v1/images/logo.png';
+    assert.equal(toFullSizePhotoUrl(map), map);
+    assert.equal(toFullSizePhotoUrl(logo), logo);
+    assert.equal(toFullSizePhotoUrl(null), null);
+});
+
+test('parsePhotos lists the JSON-LD images, then gallery photos they miss, each once at full size', () => {
+    const srcset = `${CDN}/mbphoto/123/genMid.11950123_1.jpg 600w, ${CDN}/islphoto/123/11950123_1.jpg 1200w`;
+    const $ = load(`<div class="PhotosView">
+        <figure>
+            <img src="${CDN}/mbphoto/123/genMid.11950123_0.jpg" alt="Photo 1 of 3"><figcaption>Front</figcaption>
+        </figure>
+        <img srcset="${srcset}" alt="Kitchen">
+        <img data-src="${CDN}/mbphoto/123/genMid.11950123_2.jpg" src="data:image/gif;base64,R0lGOD" alt="Photo 3 of 3">
+    </div>`);
+    const jsonLd = [{ '@type': 'SingleFamilyResidence', image: [{ '@type': 'ImageObject', url: FULL_SIZE }] }];
+
+    assert.deepEqual(parsePhotos($, jsonLd), [
+        { position: 1, url: FULL_SIZE, caption: 'Front' },
+        { position: 2, url: `${CDN}/bigphoto/123/11950123_1.jpg`, caption: 'Kitchen' },
+        { position: 3, url: `${CDN}/bigphoto/123/11950123_2.jpg`, caption: null },
+    ]);
+    assert.deepEqual(parsePhotos(load('<p>No photos</p>'), []), []);
+});
+
+test('the photo downloader fetches only the first photos of a listing, up to the cap', async () => {
+    const { fetched, fetchImage } = fakeFetchImage();
+    const downloader = await createPhotoDownloader({ storeName: 'redfin-photos-test', fetchImage, maxPerListing: 3 });
+
+    const keys = await downloader.download({ propertyId: 11111, photos: listingPhotos(5) });
+
+    assert.deepEqual(keys, ['photo-11111-001', 'photo-11111-002', 'photo-11111-003']);
+    assert.deepEqual(fetched, listingPhotos(3).map(({ url }) => url));
+    assert.deepEqual(downloader.counts, { downloaded: 3, failed: 0 });
+    // The cap is per listing
+    assert.equal((await downloader.download({ propertyId: 22222, photos: listingPhotos(4) })).length, 3);
+    assert.deepEqual(await downloader.download({ propertyId: 33333, photos: null }), []);
+
+    const store = await Actor.openKeyValueStore('redfin-photos-test');
+    assert.deepEqual(await store.getValue(photoKey(11111, 2)), JPEG);
+});
+
+test('the photo downloader leaves out a photo that does not download', async () => {
+    const photos = listingPhotos(3);
+    const { fetchImage } = fakeFetchImage([photos[1].url]);
+    const downloader = await createPhotoDownloader({ storeName: 'redfin-photos-failed', fetchImage });
+
+    assert.deepEqual(await downloader.download({ propertyId: 11111, photos }), ['photo-11111-001', 'photo-11111-003']);
+    assert.deepEqual(downloader.counts, { downloaded: 2, failed: 1 });
+});
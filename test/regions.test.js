@@ -0,0 +1,82 @@
+// Location autocomplete - the region picked for a free-text location, and locations that name no place or several
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { pickLocationMatch, resolveLocation } from '../src/regions.js';
+
+const row = (id, name, subName, url) => ({ id, type: 2, name, subName, url });
+
+const AUSTIN_CITY = row('2_30818', 'Austin', 'TX, USA', '/city/30818/TX/Austin');
+const AUSTIN_COUNTY = row('5_2845', 'Austin County', 'TX, USA', '/county/2845/TX/Austin-County');
+const AUSTIN_MN = row('2_35780', 'Austin', 'MN, USA', '/city/35780/MN/Austin');
+
+const autocompleteAnswer = ({ exactMatch, rows }) =>
+    `{}&&${JSON.stringify({ errorMessage: 'Success', resultCode: 0, payload: { exactMatch, sections: [{ rows }] } })}`;
+
+// Answers every lookup with `body` and keeps the locations asked for
+const fakeAutocomplete = (body) => {
+    const asked = [];
+    const fetchAutocomplete = async (location) => {
+        asked.push(location);
+        return body;
+    };
+    return { asked, fetchAutocomplete };
+};
+
+const candidate = (label, kind, exact = false) => ({ label, kind, url: `https://www.redfin.com/${kind}`, exact });
+
+test('resolveLocation takes the exact match Redfin gives', async () => {
+    const { asked, fetchAutocomplete } = fakeAutocomplete(
+        autocompleteAnswer({ exactMatch: AUSTIN_CITY, rows: [AUSTIN_CITY, AUSTIN_COUNTY, AUSTIN_MN] })
+    );
+
+    assert.deepEqual(await resolveLocation({ location: 'Austin, TX', fetchAutocomplete }), {
+        label: 'Austin, TX, USA',
+        url: 'https://www.redfin.com/city/30818/TX/Austin',
+        kind: 'city',
+        regionId: '30818',
+        regionType: 6,
+        exact: true,
+    });
+    assert.deepEqual(asked, ['Austin, TX']);
+});
+
+test('resolveLocation without an exact match picks the matching place of the best kind', async () => {
+    const { fetchAutocomplete } = fakeAutocomplete(autocompleteAnswer({ rows: [AUSTIN_COUNTY, AUSTIN_CITY] }));
+
+    const region = await resolveLocation({ location: 'Austin, Texas', fetchAutocomplete });
+
+    assert.equal(region.url, 'https://www.redfin.com/city/30818/TX/Austin');
+    assert.equal(region.exact, false);
+});
+
+test('pickLocationMatch puts a zip code first for five digits and a city first otherwise', () => {
+    const zip = candidate('60614, Chicago, IL', 'zipcode');
+    const neighborhood = candidate('Lincoln Park, Chicago, IL 60614', 'neighborhood');
+    const city = candidate('Chicago, IL', 'city');
+
+    assert.equal(pickLocationMatch('60614', [neighborhood, zip]), zip);
+    assert.equal(pickLocationMatch('Chicago', [zip, neighborhood, city]), city);
+    assert.equal(pickLocationMatch('Lincoln Park Chicago', [city, neighborhood]), neighborhood);
+});
+
+test('pickLocationMatch throws when several places of the same kind match', () => {
+    const candidates = [candidate('Austin, TX, USA', 'city'), candidate('Austin, MN, USA', 'city')];
+
+    assert.throws(() => pickLocationMatch('Austin', candidates), {
+        message: /^"Austin" is ambiguous: Austin, TX, USA \(city\); Austin, MN, USA \(city\)\. Add the state/,
+    });
+});
+
+test('resolveLocation throws when no place matches or the lookup failed', async () => {
+    const resolveWith = (location, body) =>
+        resolveLocation({ location, fetchAutocomplete: fakeAutocomplete(body).fetchAutocomplete });
+
+    await assert.rejects(resolveWith('Austin, NV', autocompleteAnswer({ rows: [AUSTIN_CITY, AUSTIN_MN] })), {
+        message: 'No Redfin region matches "Austin, NV". Candidates: Austin, TX, USA (city); Austin, MN, USA (city)',
+    });
+    await assert.rejects(resolveWith('Atlantis', autocompleteAnswer({ rows: [] })), {
+        message: 'No Redfin region matches "Atlantis"',
+    });
+    await assert.rejects(resolveWith('Austin', null), { message: 'Could not look up location "Austin"' });
+});
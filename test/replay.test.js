@@ -0,0 +1,207 @@
+// Offline regression suite - runs the whole actor against recorded responses and compares its
+// output with the snapshot stored next to each fixture. `UPDATE_SNAPSHOTS=1 npm test` rewrites them.
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { gunzipSync } from 'node:zlib';
+
+import { parseCsv } from '../src/csv.js';
+import { EXPORT_KEYS } from '../src/exports.js';
+import { CRAWL_STATE_KEY } from '../src/state.js';
+
+const execFileAsync = promisify(execFile);
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES = join(ROOT, 'test', 'fixtures');
+const RUN_TIMEOUT_MS = 120000;
+const UPDATE_SNAPSHOTS = process.env.UPDATE_SNAPSHOTS === '1';
+
+// Differ from run to run by nature
+const VOLATILE_FIELDS = ['fetched_at', 'runId', 'generatedAt'];
+const SUMMARY_FIELDS = [
+    'propertiesSaved',
+    'filteredOut',
+    'invalidRecords',
+    'mergedRecords',
+    'methodsUsed',
+    'responses',
+    'recordings',
+    'exports',
+    'tiling',
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Loaded before the actor so its clock reads `now` when the run starts; time-relative filters
+// (sold within, days on market) then see the day the responses were recorded
+const clockModule = (now) =>
+    `data:text/javascript,${encodeURIComponent(`
+        const offset = ${Date.parse(now)} - Date.now();
+        const RealDate = Date;
+        globalThis.Date = class extends RealDate {
+            constructor(...args) {
+                super(...(args.length ? args : [RealDate.now() + offset]));
+            }
+            static now() {
+                return RealDate.now() + offset;
+            }
+        };
+    `)}`;
+
+const stripVolatile = (value) =>
+    JSON.parse(JSON.stringify(value, (key, field) => (VOLATILE_FIELDS.includes(key) ? undefined : field)));
+
+const sortRows = (rows) =>
+    [...rows].sort((a, b) => String(a.propertyId ?? a.url).localeCompare(String(b.propertyId ?? b.url)));
+
+const readJson = async (path) => JSON.parse(await readFile(path, 'utf8'));
+
+const readDataset = async (storageDir, name) => {
+    const dir = join(storageDir, 'datasets', name);
+    const files = (await readdir(dir).catch(() => [])).filter((file) => file.endsWith('.json'));
+    return sortRows(await Promise.all(files.map((file) => readJson(join(dir, file)))));
+};
+
+// Export files the run wrote, by format: the GeoJSON and the JSONL rows parsed, the CSV as raw text and as cells
+const readExports = async (storeDir) => {
+    const files = await readdir(storeDir);
+    const read = async (format) => {
+        const file = files.find((name) => name.startsWith(`${EXPORT_KEYS[format]}.`));
+        return file ? readFile(join(storeDir, file)) : null;
+    };
+    const [geojson, csv, jsonl] = await Promise.all([read('geojson'), read('csv'), read('jsonl')]);
+    if (!geojson && !csv && !jsonl) return undefined;
+
+    const collection = geojson ? JSON.parse(geojson.toString('utf8')) : null;
+    const csvCells = csv ? parseCsv(csv.toString('utf8')) : null;
+    const fetchedAtColumn = csvCells?.[0].indexOf('fetched_at');
+    return {
+        geojson: collection && {
+            ...collection,
+            features: collection.features.sort((a, b) =>
+                String(a.properties.propertyId).localeCompare(String(b.properties.propertyId))
+            ),
+        },
+        csvText: csv?.toString('utf8'),
+        csv: csvCells && {
+            header: csvCells[0],
+            // The fetch time differs from run to run
+            rows: csvCells
+                .slice(1)
+                .map((cells) => cells.map((cell, i) => (i === fetchedAtColumn ? null : cell)))
+                .sort((a, b) => a[0].localeCompare(b[0])),
+        },
+        jsonl:
+            jsonl &&
+            sortRows(
+                gunzipSync(jsonl)
+                    .toString('utf8')
+                    .split('\n')
+                    .filter(Boolean)
+                    .map((line) => JSON.parse(line))
+            ),
+    };
+};
+
+/**
+ * Run src/main.js in a throwaway storage directory with the fixture's input, replaying its
+ * recordings, and collect what it produced.
+ */
+const runFixture = async (fixtureDir) => {
+    const storageDir = await mkdtemp(join(tmpdir(), 'redfin-replay-'));
+    const inputDir = join(storageDir, 'key_value_stores', 'default');
+    await mkdir(inputDir, { recursive: true });
+    const input = {
+        ...(await readJson(join(fixtureDir, 'input.json'))),
+        recordingMode: 'replay',
+        recordingDirectory: join(fixtureDir, 'recordings'),
+    };
+    await writeFile(join(inputDir, 'INPUT.json'), JSON.stringify(input));
+    // A fixture with a crawl state starts as a container resuming a migrated run, with the rows the
+    // earlier container pushed in dataset.json
+    const crawlState = await readJson(join(fixtureDir, 'crawl-state.json')).catch(() => null);
+    if (crawlState) await writeFile(join(inputDir, `${CRAWL_STATE_KEY}.json`), JSON.stringify(crawlState));
+    const savedRows = await readJson(join(fixtureDir, 'dataset.json')).catch(() => []);
+    if (savedRows.length) {
+        const datasetDir = join(storageDir, 'datasets', 'default');
+        await mkdir(datasetDir, { recursive: true });
+        await Promise.all(
+            savedRows.map((row, i) =>
+                writeFile(join(datasetDir, `${String(i + 1).padStart(9, '0')}.json`), JSON.stringify(row))
+            )
+        );
+    }
+
+    // A fixture that depends on the date pins it in clock.json
+    const clock = await readJson(join(fixtureDir, 'clock.json')).catch(() => null);
+    const nodeArgs = clock ? ['--import', clockModule(clock.now)] : [];
+
+    try {
+        await execFileAsync(process.execPath, [...nodeArgs, join(ROOT, 'src', 'main.js')], {
+            cwd: storageDir,
+            env: {
+                ...process.env,
+                CRAWLEE_STORAGE_DIR: storageDir,
+                APIFY_LOCAL_STORAGE_DIR: storageDir,
+                // Locally the default store is emptied on start, which would drop the crawl state
+                CRAWLEE_PURGE_ON_START: '0',
+            },
+            timeout: RUN_TIMEOUT_MS,
+            maxBuffer: 64 * 1024 * 1024,
+        });
+        const summary = await readJson(join(inputDir, 'OUTPUT_SUMMARY.json'));
+        return stripVolatile({
+            rows: await readDataset(storageDir, 'default'),
+            invalidRecords: (await readDataset(storageDir, 'redfin-invalid-records')).map(
+                ({ propertyId, failedRules }) => ({ propertyId, failedRules })
+            ),
+            summary: Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, summary[field] ?? null])),
+            marketReport: await readJson(join(inputDir, 'MARKET_REPORT.json')),
+            exportFiles: await readExports(inputDir),
+            // A finished run leaves nothing to resume
+            crawlState: crawlState
+                ? await readJson(join(inputDir, `${CRAWL_STATE_KEY}.json`)).catch(() => null)
+                : undefined,
+        });
+    } catch (err) {
+        throw new Error(`Actor run failed: ${err.message}\n${err.stdout || ''}`);
+    } finally {
+        await rm(storageDir, { recursive: true, force: true });
+    }
+};
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const fixtures = (await readdir(FIXTURES, { withFileTypes: true })).filter((entry) => entry.isDirectory());
+
+for (const { name } of fixtures) {
+    test(`replays the ${name} fixture`, async () => {
+        const fixtureDir = join(FIXTURES, name);
+        const expectedPath = join(fixtureDir, 'expected.json');
+        const actual = await runFixture(fixtureDir);
+
+        // The gzipped JSONL holds the dataset rows as saved, and the CSV ends every line with CRLF
+        if (actual.exportFiles) {
+            const { jsonl, csvText } = actual.exportFiles;
+            if (jsonl) assert.deepEqual(jsonl, actual.rows);
+            if (csvText) assert.ok(csvText.endsWith('\r\n') && !/[^\r]\n/.test(csvText), 'CSV lines end with CRLF');
+            delete actual.exportFiles.jsonl;
+            delete actual.exportFiles.csvText;
+        }
+
+        if (UPDATE_SNAPSHOTS) {
+            await writeFile(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+            return;
+        }
+        assert.deepEqual(actual, await readJson(expectedPath));
+    });
+}
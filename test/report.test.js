@@ -0,0 +1,156 @@
+// Market report - statistics, price-drop detection, per-zip grouping and the HTML rendering
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createMarketReport, hasPriceDrop, renderMarketReportHtml, summarizeListings } from '../src/report.js';
+
+const REGION = { regionId: '29470', url: 'https://www.redfin.com/city/29470/IL/Chicago' };
+
+const record = (zip, price, { beds = 2, sqft = 1000, daysOnMarket = 10, propertyType = 6, priceHistory } = {}) => ({
+    zip,
+    price,
+    pricePerSqft: Math.round(price / sqft),
+    daysOnMarket,
+    propertyType,
+    beds,
+    priceHistory,
+});
+
+test('summarizeListings computes price percentiles, day buckets and groups', () => {
+    const entries = [100, 200, 300, 400, 500].map((price, i) => ({
+        price: price * 1000,
+        pricePerSqft: price,
+        daysOnMarket: [3, 7, 8, 45, 400][i],
+        homeType: i < 3 ? 'house' : 'condo',
+        beds: [1, 2, 2, 6, null][i],
+        priceDrop: [true, false, null, null, null][i],
+    }));
+
+    const stats = summarizeListings(entries);
+
+    assert.deepEqual(stats.price, {
+        count: 5,
+        min: 100000,
+        max: 500000,
+        mean: 300000,
+        median: 300000,
+        p10: 140000,
+        p25: 200000,
+        p75: 400000,
+        p90: 460000,
+    });
+    assert.equal(stats.medianPricePerSqft, 300);
+    assert.deepEqual(stats.daysOnMarket, {
+        count: 5,
+        median: 8,
+        buckets: { '0-7': 2, '8-30': 1, '31-90': 1, '91-180': 0, '181+': 1 },
+    });
+    assert.deepEqual(stats.byPropertyType, {
+        house: { count: 3, medianPrice: 200000 },
+        condo: { count: 2, medianPrice: 450000 },
+    });
+    assert.deepEqual(Object.keys(stats.byBeds), ['1', '2', '5+', 'unknown']);
+    assert.deepEqual(stats.priceDrops, { withHistory: 2, withPriceDrop: 1, share: 0.5 });
+});
+
+test('summarizeListings of no listings has null statistics', () => {
+    const stats = summarizeListings([]);
+
+    assert.equal(stats.listings, 0);
+    assert.equal(stats.price.median, null);
+    assert.equal(stats.medianPricePerSqft, null);
+    assert.equal(stats.priceDrops.share, null);
+});
+
+test('hasPriceDrop looks for a price cut after the latest listing', () => {
+    const history = (...events) => ({ priceHistory: events });
+
+    assert.equal(
+        hasPriceDrop(
+            history(
+                { date: '2024-03-01', event: 'Listed', price: 500000 },
+                { date: '2024-04-01', event: 'Price Changed', price: 480000 }
+            )
+        ),
+        true
+    );
+    // A cut before the home was relisted belongs to the earlier listing
+    assert.equal(
+        hasPriceDrop(
+            history(
+                { date: '2023-03-01', event: 'Listed', price: 500000 },
+                { date: '2023-04-01', event: 'Price Changed', price: 480000 },
+                { date: '2024-02-01', event: 'Relisted', price: 470000 },
+                { date: '2024-03-01', event: 'Price Changed', price: 490000 }
+            )
+        ),
+        false
+    );
+    assert.equal(hasPriceDrop({ priceHistory: [] }), null);
+    assert.equal(hasPriceDrop({}, [{ type: 'priceDrop' }]), true);
+});
+
+test('hasPriceDrop does not count a cut from before the latest relisting', () => {
+    const priceHistory = [
+        { date: '2024-04-01', event: 'Relisted', price: 470000 },
+        { date: '2023-04-01', event: 'Price Changed', price: 480000 },
+        { date: '2023-03-01', event: 'Listed', price: 500000 },
+    ];
+
+    assert.equal(hasPriceDrop({ priceHistory }), false);
+});
+
+test('a monitor priceDrop change marks a drop the price history does not show', () => {
+    const priceHistory = [
+        { date: '2024-03-01', event: 'Listed', price: 500000 },
+        { date: '2024-04-01', event: 'Price Changed', price: 510000 },
+    ];
+    const changes = [{ type: 'priceDrop', field: 'price', oldValue: 510000, newValue: 495000 }];
+
+    assert.equal(hasPriceDrop({ priceHistory }), false);
+    assert.equal(hasPriceDrop({ priceHistory }, changes), true);
+
+    const report = createMarketReport({ searchMode: 'forSale' });
+    report.add(record('60614', 495000, { priceHistory }), REGION, changes);
+    report.add(record('60614', 510000, { priceHistory }), REGION);
+
+    assert.deepEqual(report.build().regions[0].priceDrops, { withHistory: 2, withPriceDrop: 1, share: 0.5 });
+});
+
+test('the report groups a region by zip, busiest zip first', () => {
+    const report = createMarketReport({ searchMode: 'forSale' });
+    report.add(record('60614', 500000), REGION);
+    report.add(record('60657', 300000), REGION);
+    report.add(record('60657', 400000, { propertyType: 3 }), REGION);
+
+    const { searchMode, regions } = report.build();
+
+    assert.equal(searchMode, 'forSale');
+    assert.equal(regions.length, 1);
+    assert.equal(regions[0].name, REGION.url);
+    assert.equal(regions[0].listings, 3);
+    assert.deepEqual(
+        regions[0].zips.map(({ zip, listings, price }) => [zip, listings, price.median]),
+        [
+            ['60657', 2, 350000],
+            ['60614', 1, 500000],
+        ]
+    );
+    assert.deepEqual(Object.keys(regions[0].byPropertyType), ['house', 'condo']);
+});
+
+test('the HTML report has a row per region and zip and escapes names', () => {
+    const report = createMarketReport({ searchMode: 'sold' });
+    report.add(record('60614', 500000), { regionId: 'area-1', name: 'Lincoln Park <north>' });
+    report.add(record('60657', 300000), { regionId: 'area-1', name: 'Lincoln Park <north>' });
+
+    const html = renderMarketReportHtml(report.build());
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.match(html, /<h2>Lincoln Park &#60;north&#62;<\/h2>/);
+    assert.match(html, /<p>Sold homes, generated /);
+    assert.match(html, /<tr><td>All<\/td><td>2<\/td><td>\$400,000<\/td>/);
+    assert.match(html, /<tr><td>60614<\/td><td>1<\/td><td>\$500,000<\/td>/);
+    assert.match(html, /<tr><td>60657<\/td><td>1<\/td><td>\$300,000<\/td>/);
+    assert.match(html, /<h3>Days on market<\/h3><table><tr>.*?<\/tr><tr><td>0-7<\/td><td>0<\/td>/);
+});
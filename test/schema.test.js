@@ -0,0 +1,155 @@
+// Output record schema - field normalization and each validation rule a record must pass
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+
+import {
+    describeFailures,
+    normalizeStatus,
+    parseListingDate,
+    parseLotSizeSqft,
+    parseMonthlyHoa,
+    toInteger,
+    validateProperty,
+} from '../src/schema.js';
+
+const NOW = Date.parse('2024-06-05T12:00:00Z');
+
+const RECORD = {
+    propertyId: 12121,
+    url: 'https://www.redfin.com/IL/Chicago/2121-W-Roscoe-St-60618/home/12121',
+    price: 925000,
+    priceCurrency: 'USD',
+    beds: 4,
+    baths: 3.5,
+    sqft: 2800,
+    lotSizeSqft: 3125,
+    pricePerSqft: 330.36,
+    hoa: 0,
+    yearBuilt: 1905,
+    daysOnMarket: 0,
+    listingDate: '2024-05-26',
+    soldDate: null,
+    status: 'forSale',
+    latitude: 41.9434,
+    longitude: -87.6823,
+};
+
+// The rules a record fails once `changes` are applied to the valid one
+const failedRules = (changes) =>
+    validateProperty({ ...RECORD, ...changes }).map(({ field, rule }) => `${field}:${rule}`);
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('toInteger, parseLotSizeSqft and parseMonthlyHoa read numbers out of labels', () => {
+    assert.equal(toInteger('1,234.6 sq ft'), 1235);
+    assert.equal(toInteger('—'), null);
+    assert.equal(parseLotSizeSqft('0.25 Acres'), 10890);
+    assert.equal(parseLotSizeSqft('5,000 Sq. Ft.'), 5000);
+    assert.equal(parseLotSizeSqft(3125), 3125);
+    assert.equal(parseLotSizeSqft('0 Acres'), null);
+    assert.equal(parseMonthlyHoa('$250/month'), 250);
+    assert.equal(parseMonthlyHoa('$900/quarter'), 300);
+    assert.equal(parseMonthlyHoa('$1,200 semi-annually'), 200);
+    assert.equal(parseMonthlyHoa('$2,400 annually'), 200);
+    assert.equal(parseMonthlyHoa(410), 410);
+    assert.equal(parseMonthlyHoa('None'), null);
+});
+
+test('parseListingDate reads calendar labels, time on Redfin and the days-on-market count', () => {
+    assert.equal(parseListingDate('Listed on Jan 5, 2024'), '2024-01-05');
+    assert.equal(parseListingDate('12 days'), '2024-05-24');
+    assert.equal(parseListingDate('1 day on Redfin'), '2024-06-04');
+    assert.equal(parseListingDate(null, { daysOnMarket: 30 }), '2024-05-06');
+    assert.equal(parseListingDate('Jan 5, 2024', { daysOnMarket: 30 }), '2024-01-05');
+    assert.equal(parseListingDate(null, { daysOnMarket: -1 }), null);
+    assert.equal(parseListingDate('12 days', { now: Date.parse('2024-01-10T00:00:00Z') }), '2023-12-29');
+});
+
+test('normalizeStatus reads the status label and marks a home with a sale date sold', () => {
+    assert.equal(normalizeStatus('Active'), 'forSale');
+    assert.equal(normalizeStatus('Contingent'), 'pending');
+    assert.equal(normalizeStatus(null, { soldDate: '2024-05-20' }), 'sold');
+    assert.equal(normalizeStatus('Unknown'), null);
+});
+
+test('validateProperty passes a full record and one with the optional fields missing', () => {
+    assert.deepEqual(validateProperty(RECORD), []);
+    assert.deepEqual(
+        validateProperty({ propertyId: '12121', url: RECORD.url, priceCurrency: 'USD', beds: null, baths: undefined }),
+        []
+    );
+});
+
+test('validateProperty wants an id, a Redfin URL and USD prices', () => {
+    assert.deepEqual(failedRules({ propertyId: null }), ['propertyId:required']);
+    assert.deepEqual(failedRules({ propertyId: '  ' }), ['propertyId:required']);
+    assert.deepEqual(failedRules({ url: null }), ['url:redfinUrl']);
+    assert.deepEqual(failedRules({ url: 'https://www.zillow.com/homedetails/12121' }), ['url:redfinUrl']);
+    assert.deepEqual(failedRules({ url: 'http://www.redfin.com/IL/Chicago/home/12121' }), ['url:redfinUrl']);
+    assert.deepEqual(failedRules({ priceCurrency: 'CAD' }), ['priceCurrency:currency']);
+    assert.deepEqual(failedRules({ priceCurrency: undefined }), ['priceCurrency:currency']);
+});
+
+test('validateProperty holds prices and sizes to their ranges', () => {
+    assert.deepEqual(failedRules({ price: -1 }), ['price:nonNegativeNumber']);
+    assert.deepEqual(failedRules({ price: '925000' }), ['price:nonNegativeNumber']);
+    assert.deepEqual(failedRules({ price: 0 }), []);
+    assert.deepEqual(failedRules({ hoa: -50 }), ['hoa:nonNegativeNumber']);
+    assert.deepEqual(failedRules({ sqft: 0 }), ['sqft:positiveInteger']);
+    assert.deepEqual(failedRules({ sqft: 1800.5 }), ['sqft:positiveInteger']);
+    assert.deepEqual(failedRules({ lotSizeSqft: 0 }), ['lotSizeSqft:positiveInteger']);
+    assert.deepEqual(failedRules({ pricePerSqft: 0 }), ['pricePerSqft:positiveNumber']);
+    assert.deepEqual(failedRules({ pricePerSqft: Infinity }), ['pricePerSqft:positiveNumber']);
+});
+
+test('validateProperty holds rooms, the year built and days on market to whole plausible numbers', () => {
+    assert.deepEqual(failedRules({ beds: 101 }), ['beds:integer0to100']);
+    assert.deepEqual(failedRules({ beds: 2.5 }), ['beds:integer0to100']);
+    assert.deepEqual(failedRules({ beds: 0 }), []);
+    assert.deepEqual(failedRules({ baths: 2.5 }), []);
+    assert.deepEqual(failedRules({ baths: -1 }), ['baths:number0to100']);
+    assert.deepEqual(failedRules({ baths: NaN }), ['baths:number0to100']);
+    assert.deepEqual(failedRules({ yearBuilt: 1599 }), ['yearBuilt:plausibleYear']);
+    // Up to two years out, for homes still being built
+    assert.deepEqual(failedRules({ yearBuilt: 2026 }), []);
+    assert.deepEqual(failedRules({ yearBuilt: 2027 }), ['yearBuilt:plausibleYear']);
+    assert.deepEqual(failedRules({ daysOnMarket: -1 }), ['daysOnMarket:nonNegativeInteger']);
+    assert.deepEqual(failedRules({ daysOnMarket: 1.5 }), ['daysOnMarket:nonNegativeInteger']);
+});
+
+test('validateProperty wants real calendar dates, a known status and coordinates on the globe', () => {
+    assert.deepEqual(failedRules({ listingDate: '2024-02-30' }), ['listingDate:isoDate']);
+    assert.deepEqual(failedRules({ listingDate: '2024-2-3' }), ['listingDate:isoDate']);
+    assert.deepEqual(failedRules({ listingDate: '2024-02-29' }), []);
+    assert.deepEqual(failedRules({ soldDate: '2023-02-29' }), ['soldDate:isoDate']);
+    assert.deepEqual(failedRules({ soldDate: 'May 20, 2024' }), ['soldDate:isoDate']);
+    assert.deepEqual(failedRules({ status: 'Active' }), ['status:statusEnum']);
+    assert.deepEqual(failedRules({ status: 'sold' }), []);
+    assert.deepEqual(failedRules({ latitude: 90.5 }), ['latitude:latitude']);
+    assert.deepEqual(failedRules({ longitude: -181 }), ['longitude:longitude']);
+    assert.deepEqual(failedRules({ latitude: -90, longitude: 180 }), []);
+});
+
+test('validateProperty reports every failed rule with its value, and describeFailures names them', () => {
+    const failures = validateProperty({
+        ...RECORD,
+        price: -1,
+        soldDate: '2024-13-01',
+        beds: undefined,
+        url: undefined,
+    });
+
+    assert.deepEqual(failures, [
+        { field: 'url', rule: 'redfinUrl', value: null },
+        { field: 'price', rule: 'nonNegativeNumber', value: -1 },
+        { field: 'soldDate', rule: 'isoDate', value: '2024-13-01' },
+    ]);
+    assert.equal(describeFailures(failures), 'url (redfinUrl), price (nonNegativeNumber), soldDate (isoDate)');
+    assert.equal(describeFailures([]), '');
+});
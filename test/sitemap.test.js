@@ -0,0 +1,126 @@
+// Sitemap crawling - entries read from plain and gzipped sitemaps, the walk's priorities, and the
+// state read off a sitemap's file name
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { gzipSync } from 'node:zlib';
+
+import { log } from 'apify';
+
+import { sitemapStateCode } from '../src/regions.js';
+import { collectSitemapUrls, scanSitemap, SITEMAP_PRIORITIES } from '../src/sitemap.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+const BASE = 'https://www.redfin.com';
+
+const urlset = (paths) =>
+    `<?xml version="1.0" encoding="UTF-8"?><urlset>${paths
+        .map((path) => `<url><loc>${BASE}${path}</loc><lastmod>2024-05-02</lastmod></url>`)
+        .join('\n')}</urlset>`;
+
+const sitemapIndex = (paths) =>
+    `<?xml version="1.0" encoding="UTF-8"?><sitemapindex>${paths
+        .map((path) => `<sitemap><loc>${BASE}${path}</loc></sitemap>`)
+        .join('\n')}</sitemapindex>`;
+
+// Answers like the fetcher, from a map of sitemap URL to body, and keeps the order they were asked for in
+const fakeFetcher = (bodies) => {
+    const fetched = [];
+    const fetchSitemap = async (url) => {
+        fetched.push(url.replace(BASE, ''));
+        const body = bodies[url.replace(BASE, '')];
+        return body ? { statusCode: 200, buffer: Buffer.from(body) } : { statusCode: 404, responseClass: 'notFound' };
+    };
+    return { fetched, fetchSitemap };
+};
+
+test('scanSitemap reads the entries of a plain or gzipped sitemap', () => {
+    const xml = `<urlset><url><loc><![CDATA[${BASE}/IL/Chicago/A-St-60601/home/1?a=1&amp;b=2]]></loc></url>
+<url><loc>${BASE}/IL/Chicago/B-St-60601/home/2</loc><lastmod>2024-05-02</lastmod></url><url></url></urlset>`;
+    const read = (buffer) => {
+        const entries = [];
+        scanSitemap(buffer, (entry) => {
+            entries.push(entry);
+        });
+        return entries;
+    };
+
+    const expected = [
+        { type: 'url', loc: `${BASE}/IL/Chicago/A-St-60601/home/1?a=1&b=2`, lastmod: null },
+        { type: 'url', loc: `${BASE}/IL/Chicago/B-St-60601/home/2`, lastmod: '2024-05-02' },
+    ];
+    assert.deepEqual(read(Buffer.from(xml)), expected);
+    assert.deepEqual(read(gzipSync(Buffer.from(xml))), expected);
+});
+
+test('scanSitemap stops when the callback returns false', () => {
+    const seen = [];
+    scanSitemap(Buffer.from(urlset(['/home/1', '/home/2', '/home/3'])), ({ loc }) => {
+        seen.push(loc);
+        return seen.length < 2;
+    });
+
+    assert.deepEqual(seen, [`${BASE}/home/1`, `${BASE}/home/2`]);
+});
+
+test('collectSitemapUrls walks the preferred sitemaps first and leaves out the skipped ones', async () => {
+    const { fetched, fetchSitemap } = fakeFetcher({
+        '/sitemap_homes.xml': sitemapIndex([
+            '/sitemaps/homes/AL-1.xml.gz',
+            '/sitemaps/homes/x.xml',
+            '/sitemaps/homes/IL-1.xml.gz',
+        ]),
+        '/sitemaps/homes/IL-1.xml.gz': gzipSync(
+            urlset(['/IL/Chicago/A-St-60601/home/1', '/IL/Evanston/B-St-60201/home/2'])
+        ),
+        '/sitemaps/homes/x.xml': urlset(['/IL/Chicago/C-St-60601/home/3']),
+    });
+    const prioritize = (loc) => {
+        const state = sitemapStateCode(loc);
+        if (!state) return SITEMAP_PRIORITIES.normal;
+        return state === 'IL' ? SITEMAP_PRIORITIES.first : SITEMAP_PRIORITIES.skip;
+    };
+
+    const urls = await collectSitemapUrls({
+        startUrl: `${BASE}/sitemap_homes.xml`,
+        fetchSitemap,
+        matchesUrl: (loc) => loc.includes('/IL/Chicago/'),
+        prioritize,
+        limit: 10,
+    });
+
+    assert.deepEqual(fetched, ['/sitemap_homes.xml', '/sitemaps/homes/IL-1.xml.gz', '/sitemaps/homes/x.xml']);
+    assert.deepEqual(urls, [`${BASE}/IL/Chicago/A-St-60601/home/1`, `${BASE}/IL/Chicago/C-St-60601/home/3`]);
+});
+
+test('collectSitemapUrls stops at the limit and skips entries older than the cutoff', async () => {
+    const { fetchSitemap } = fakeFetcher({
+        '/sitemap_homes.xml': `<urlset>
+<url><loc>${BASE}/home/1</loc><lastmod>2024-01-02</lastmod></url>
+<url><loc>${BASE}/home/2</loc><lastmod>2024-05-02</lastmod></url>
+<url><loc>${BASE}/home/3</loc></url>
+<url><loc>${BASE}/home/4</loc></url></urlset>`,
+    });
+
+    const urls = await collectSitemapUrls({
+        startUrl: `${BASE}/sitemap_homes.xml`,
+        fetchSitemap,
+        limit: 2,
+        updatedSince: new Date('2024-03-01'),
+    });
+
+    assert.deepEqual(urls, [`${BASE}/home/2`, `${BASE}/home/3`]);
+});
+
+test('sitemapStateCode reads only "<STATE>-<n>" file names', () => {
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/IL-1.xml.gz`), 'IL');
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/ny-12.xml`), 'NY');
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/DC-3.xml.gz`), 'DC');
+    // Words that happen to be state codes
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/in-the-news.xml`), null);
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/or-me-ok.xml`), null);
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/new-listings.xml`), null);
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/new_york_2.xml`), null);
+    assert.equal(sitemapStateCode(`${BASE}/sitemaps/homes/XX-1.xml.gz`), null);
+    assert.equal(sitemapStateCode('not a url'), null);
+});
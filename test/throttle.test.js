@@ -0,0 +1,115 @@
+// Adaptive rate control - Retry-After parsing, pauses after a 429, and the pace steps down and up
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { createThrottle, parseRetryAfter } from '../src/throttle.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+// An `acquire()` whose `done` turns true once the request may go
+const track = (throttle) => {
+    const request = { done: false };
+    throttle.acquire().then(() => {
+        request.done = true;
+    });
+    return request;
+};
+
+// Moves the mocked clock and settles the promises its timers resolved
+const advance = async (ms) => {
+    mock.timers.tick(ms);
+    await new Promise((resolve) => {
+        setImmediate(resolve);
+    });
+};
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    // No jitter: a backoff pause is exactly half its ceiling
+    mock.method(Math, 'random', () => 0);
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+test('parseRetryAfter reads seconds and HTTP dates into milliseconds', () => {
+    const now = Date.parse('2024-06-01T12:00:00Z');
+
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('1.5'), 1500);
+    assert.equal(parseRetryAfter(['30', '60']), 30000);
+    assert.equal(parseRetryAfter('Sat, 01 Jun 2024 12:00:10 GMT', now), 10000);
+    assert.equal(parseRetryAfter('Sat, 01 Jun 2024 11:59:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('a 429 pauses every request for its Retry-After', async () => {
+    const throttle = createThrottle({ maxRequestsPerMinute: 6000 });
+
+    throttle.onRateLimited(5000);
+    const request = track(throttle);
+
+    await advance(4999);
+    assert.equal(request.done, false);
+    await advance(1);
+    assert.equal(request.done, true);
+});
+
+test('without a Retry-After the pause backs off exponentially', async () => {
+    const throttle = createThrottle({ maxRequestsPerMinute: 6000 });
+
+    // 2s ceiling, no jitter
+    throttle.onRateLimited(null);
+    const first = track(throttle);
+    await advance(999);
+    assert.equal(first.done, false);
+    await advance(1);
+    assert.equal(first.done, true);
+
+    // Second in a row: 4s ceiling
+    throttle.onRateLimited(null);
+    const second = track(throttle);
+    await advance(1999);
+    assert.equal(second.done, false);
+    await advance(1);
+    assert.equal(second.done, true);
+
+    // A success resets the backoff
+    throttle.onSuccess();
+    throttle.onRateLimited(null);
+    const third = track(throttle);
+    await advance(1000);
+    assert.equal(third.done, true);
+});
+
+test('a cluster of 429s halves the pace and a run of successes raises it again', () => {
+    const throttle = createThrottle({ maxRequestsPerMinute: 120 });
+
+    for (let i = 0; i < 3; i += 1) throttle.onRateLimited(0);
+    assert.deepEqual(throttle.getStats(), { requestsPerMinute: 60, rateLimited: 3, slowdowns: 1, speedups: 0 });
+
+    for (let i = 0; i < 25; i += 1) throttle.onSuccess();
+    assert.equal(throttle.getStats().requestsPerMinute, 75);
+
+    for (let i = 0; i < 100; i += 1) throttle.onSuccess();
+    assert.equal(throttle.getStats().requestsPerMinute, 120);
+});
+
+test('requests are spaced at the allowed pace', async () => {
+    const throttle = createThrottle({ maxRequestsPerMinute: 60 });
+
+    const first = track(throttle);
+    const second = track(throttle);
+    await advance(0);
+    assert.equal(first.done, true);
+    assert.equal(second.done, false);
+    await advance(999);
+    assert.equal(second.done, false);
+    await advance(1);
+    assert.equal(second.done, true);
+});
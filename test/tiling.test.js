@@ -0,0 +1,80 @@
+// Exhaustive search - price bands split at the median, quadrants, and the split depth cap
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { applyTile, createRootTile, describeTile, splitTile, TILING_STRATEGIES } from '../src/tiling.js';
+
+const ROOT = { bbox: null, minPrice: null, maxPrice: null, depth: 0 };
+
+test('createRootTile starts from the price filter, or the search area box for quadrants', () => {
+    const area = { bbox: [-88, 41, -87, 42] };
+
+    assert.deepEqual(createRootTile({ region: {}, filters: { minPrice: 100000 }, strategy: TILING_STRATEGIES.price }), {
+        ...ROOT,
+        minPrice: 100000,
+    });
+    assert.deepEqual(
+        createRootTile({ region: { area }, filters: {}, strategy: TILING_STRATEGIES.quadrants }).bbox,
+        area.bbox
+    );
+});
+
+test('splitTile cuts a price band at the median price of the capped answer', () => {
+    const prices = [100000, 200000, 300000, 400000, 500000, NaN];
+
+    const [low, high] = splitTile(ROOT, { strategy: TILING_STRATEGIES.price, prices });
+
+    assert.deepEqual(low, { ...ROOT, maxPrice: 299999, depth: 1 });
+    assert.deepEqual(high, { ...ROOT, minPrice: 300000, depth: 1 });
+});
+
+test('splitTile keeps the band bounds of the tile it splits', () => {
+    const tile = { ...ROOT, minPrice: 300000, maxPrice: 600000, depth: 2 };
+
+    const [low, high] = splitTile(tile, { strategy: TILING_STRATEGIES.price, prices: [300000, 450000, 500000] });
+
+    assert.deepEqual(low, { ...tile, maxPrice: 449999, depth: 3 });
+    assert.deepEqual(high, { ...tile, minPrice: 450000, depth: 3 });
+});
+
+test('splitTile cannot split a band whose homes all have its lowest price', () => {
+    const tile = { ...ROOT, minPrice: 250000 };
+
+    assert.equal(splitTile(tile, { strategy: TILING_STRATEGIES.price, prices: [250000, 250000] }), null);
+    assert.equal(splitTile(ROOT, { strategy: TILING_STRATEGIES.price, prices: [] }), null);
+});
+
+test('splitTile cuts a box into four quadrants', () => {
+    const tile = { ...ROOT, bbox: [-88, 41, -87, 42] };
+
+    const parts = splitTile(tile, { strategy: TILING_STRATEGIES.quadrants });
+
+    assert.deepEqual(
+        parts.map((part) => part.bbox),
+        [
+            [-88, 41, -87.5, 41.5],
+            [-87.5, 41, -87, 41.5],
+            [-88, 41.5, -87.5, 42],
+            [-87.5, 41.5, -87, 42],
+        ]
+    );
+    assert.ok(parts.every((part) => part.depth === 1));
+});
+
+test('splitTile stops at the depth cap', () => {
+    const deep = { ...ROOT, bbox: [-88, 41, -87, 42], depth: 8 };
+
+    assert.equal(splitTile(deep, { strategy: TILING_STRATEGIES.quadrants }), null);
+    assert.equal(splitTile(deep, { strategy: TILING_STRATEGIES.price, prices: [1, 2, 3] }), null);
+    assert.notEqual(splitTile({ ...deep, depth: 7 }, { strategy: TILING_STRATEGIES.quadrants }), null);
+});
+
+test('applyTile searches the tile box and band in place of the area and price filter', () => {
+    const tile = { bbox: [-88, 41, -87.5, 41.5], minPrice: 300000, maxPrice: null, depth: 1 };
+
+    const { region, filters } = applyTile({ region: { regionId: 'area-1' }, filters: { minBeds: 2 }, tile });
+
+    assert.deepEqual(region.area.bbox, tile.bbox);
+    assert.deepEqual(filters, { minBeds: 2, minPrice: 300000, maxPrice: null });
+    assert.equal(describeTile(tile), 'box 41,-88 to 41.5,-87.5, $300,000+');
+});